@@ -3,9 +3,19 @@
  * Handles message passing between content scripts and DevTools panel
  */
 
-// Store DevTools connection state per tab
+// Subscribed DevTools panels per tab
 const devToolsConnections = new Map();
 
+// Buffered events per tab and frame, replayed to panels that attach late
+const tabHubs = new Map();
+
+// Identifies this service worker's sequence numbers so panels can tell a restart from a gap
+const streamId = Date.now() + Math.random();
+
+const MAX_BUFFERED_EVENTS = 1000;
+const MAX_BUFFERED_EVENTS_PER_FRAME = 500;
+const DELIVERY_WINDOW = 50;
+
 /**
  * Check if URL is valid for content script injection
  */
@@ -26,94 +36,336 @@ function isValidUrl(url) {
     return !restrictedProtocols.some(protocol => url.startsWith(protocol));
 }
 
-// Handle messages from content scripts and DevTools
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.action === 'accessibility-event') {
-        // Forward accessibility events to DevTools panel
-        
-        // Check if chrome.storage is available
-        if (chrome.storage && chrome.storage.local) {
-            // Store the event data for the DevTools panel to retrieve
-            chrome.storage.local.get(['accessibilityEvents'], (result) => {
-                if (chrome.runtime.lastError) {
-                    sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                    return;
-                }
-                
-                const events = result.accessibilityEvents || [];
-                
-                // Add unique ID if not present
-                if (!message.data.id) {
-                    message.data.id = Date.now() + Math.random();
-                }
-                
-                events.push(message.data); // Add to end
-                
-                // Keep only last 1000 events to prevent memory issues
-                if (events.length > 1000) {
-                    events.splice(0, events.length - 1000);
-                }
-                
-                chrome.storage.local.set({ accessibilityEvents: events }, () => {
-                    if (chrome.runtime.lastError) {
-                        sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                    } else {
-                        sendResponse({ success: true });
-                    }
-                });
-            });
-        } else {
-            sendResponse({ success: false, error: 'Storage API not available' });
+/**
+ * Get or create the event hub for a tab
+ */
+function getTabHub(tabId) {
+    if (!tabHubs.has(tabId)) {
+        tabHubs.set(tabId, { frames: new Map(), size: 0, nextSequence: 1 });
+    }
+    return tabHubs.get(tabId);
+}
+
+/**
+ * Number an event, buffer it under its frame and push it to the tab's subscribed panels
+ */
+function publishEvent(tabId, frameId, event) {
+    const hub = getTabHub(tabId);
+
+    // Add unique ID if not present
+    if (!event.id) {
+        event.id = Date.now() + Math.random();
+    }
+    event.sequence = hub.nextSequence++;
+    event.frameId = frameId;
+
+    if (!hub.frames.has(frameId)) {
+        hub.frames.set(frameId, []);
+    }
+    const frameEvents = hub.frames.get(frameId);
+    frameEvents.push(event);
+    hub.size++;
+
+    // Keep only the most recent events per frame and per tab to prevent memory issues
+    if (frameEvents.length > MAX_BUFFERED_EVENTS_PER_FRAME) {
+        frameEvents.shift();
+        hub.size--;
+    }
+    while (hub.size > MAX_BUFFERED_EVENTS) {
+        dropOldestEvent(hub);
+    }
+
+    // Only panels inspecting this tab receive its events
+    const subscribers = devToolsConnections.get(tabId);
+    if (subscribers) {
+        subscribers.forEach(deliverEvents);
+    }
+}
+
+/**
+ * Remove the oldest buffered event across all frames of a tab
+ */
+function dropOldestEvent(hub) {
+    let oldest = null;
+    hub.frames.forEach((frameEvents) => {
+        if (frameEvents.length > 0 && (!oldest || frameEvents[0].sequence < oldest[0].sequence)) {
+            oldest = frameEvents;
         }
-        
-        // Return true to indicate we will respond asynchronously
-        return true;
+    });
+
+    if (oldest) {
+        oldest.shift();
+        hub.size--;
     }
-    
-    // Handle ping from content script to verify connection
-    if (message.action === 'ping') {
-        sendResponse({ success: true });
-        return true;
+}
+
+/**
+ * Index of the first event after a sequence number in a frame's buffer
+ */
+function findEventsAfter(frameEvents, sequence) {
+    let low = 0;
+    let high = frameEvents.length;
+
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (frameEvents[middle].sequence <= sequence) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
     }
 
-    // Handle DevTools panel ready signal
-    if (message.action === 'devtools-ready') {
-        const tabId = message.tabId;
-        devToolsConnections.set(tabId, true);
-        
-        // Notify content script that DevTools is ready
-        chrome.tabs.sendMessage(tabId, {
-            action: 'devtools-ready'
-        }).catch(() => {
-            // Ignore connection errors
+    return low;
+}
+
+/**
+ * Send a panel the next batch of events it has not received, up to its unacknowledged window
+ */
+function deliverEvents(subscriber) {
+    const hub = tabHubs.get(subscriber.tabId);
+    const available = DELIVERY_WINDOW - (subscriber.sentSequence - subscriber.ackedSequence);
+    if (!hub || available <= 0) return;
+
+    // Merge the frames' buffers back into tab order
+    const cursors = [];
+    hub.frames.forEach((frameEvents) => {
+        const index = findEventsAfter(frameEvents, subscriber.sentSequence);
+        if (index < frameEvents.length) {
+            cursors.push({ events: frameEvents, index: index });
+        }
+    });
+
+    const batch = [];
+    while (batch.length < available && cursors.length > 0) {
+        let next = cursors[0];
+        cursors.forEach((cursor) => {
+            if (cursor.events[cursor.index].sequence < next.events[next.index].sequence) {
+                next = cursor;
+            }
         });
-        
-        sendResponse({ success: true });
-        return true;
+
+        batch.push(next.events[next.index++]);
+        if (next.index >= next.events.length) {
+            cursors.splice(cursors.indexOf(next), 1);
+        }
     }
 
-    // Handle DevTools panel closed signal
-    if (message.action === 'devtools-closed') {
-        const tabId = message.tabId;
-        devToolsConnections.delete(tabId);
-        
-        // Optionally notify content script
-        chrome.tabs.sendMessage(tabId, {
-            action: 'devtools-closed'
-        }).catch(() => {
-            // Ignore connection errors
+    if (batch.length === 0) return;
+
+    subscriber.sentSequence = batch[batch.length - 1].sequence;
+
+    try {
+        subscriber.port.postMessage({ action: 'events', events: batch });
+    } catch (error) {
+        // Port closed; onDisconnect removes the subscriber
+    }
+}
+
+/**
+ * Drop buffered events of a tab, or of one of its frames, that every subscribed panel has already received
+ */
+function resetTabBuffer(tabId, frameId = null) {
+    const hub = tabHubs.get(tabId);
+    if (!hub) return;
+
+    const subscribers = Array.from(devToolsConnections.get(tabId) || []);
+    const delivered = subscribers.length > 0
+        ? Math.min(...subscribers.map(subscriber => subscriber.sentSequence))
+        : Infinity;
+
+    hub.frames.forEach((frameEvents, id) => {
+        if (frameId !== null && id !== frameId) return;
+
+        const remaining = frameEvents.filter(event => event.sequence > delivered);
+        hub.size -= frameEvents.length - remaining.length;
+
+        if (remaining.length > 0) {
+            hub.frames.set(id, remaining);
+        } else {
+            hub.frames.delete(id);
+        }
+    });
+}
+
+/**
+ * Whether a tab has a subscribed panel, and whether any of its panels wants NVDA keys handled
+ */
+function getPanelState(tabId) {
+    const subscribers = Array.from(devToolsConnections.get(tabId) || []);
+    return {
+        action: 'panel-state',
+        attached: subscribers.length > 0,
+        simulateKeys: subscribers.some(subscriber => subscriber.simulateKeys)
+    };
+}
+
+/**
+ * Tell every frame's content script in a tab about its panels
+ */
+function broadcastPanelState(tabId) {
+    chrome.tabs.sendMessage(tabId, getPanelState(tabId)).catch(() => {
+        // No content script in this tab
+    });
+}
+
+/**
+ * Wrap focus() in the page's own world so script focus calls report their stack traces
+ */
+function injectFocusTracer(tabId, frameIds = null) {
+    const target = frameIds ? { tabId: tabId, frameIds: frameIds } : { tabId: tabId, allFrames: true };
+
+    chrome.scripting.executeScript({
+        target: target,
+        files: ['focus-tracer.js'],
+        world: 'MAIN',
+        injectImmediately: true
+    }).catch(() => {
+        // Restricted page, or the frame went away
+    });
+}
+
+/**
+ * Put back the page's original focus() once no panel is attached
+ */
+function removeFocusTracer(tabId) {
+    chrome.scripting.executeScript({
+        target: { tabId: tabId, allFrames: true },
+        world: 'MAIN',
+        func: () => {
+            const tracedMarker = Symbol.for('accessibility-logger-traced-focus');
+
+            [window.HTMLElement, window.SVGElement, window.MathMLElement].forEach((type) => {
+                const prototype = type && type.prototype;
+                if (!prototype || !Object.prototype.hasOwnProperty.call(prototype, 'focus')) return;
+
+                const originalFocus = prototype.focus && prototype.focus[tracedMarker];
+                if (typeof originalFocus === 'function') {
+                    Object.defineProperty(prototype, 'focus', {
+                        value: originalFocus,
+                        writable: true,
+                        configurable: true,
+                        enumerable: true
+                    });
+                }
+            });
+        }
+    }).catch(() => {
+        // Restricted page, or the tab is gone
+    });
+}
+
+/**
+ * Subscribe a DevTools panel port to its inspected tab's events
+ */
+function handlePanelConnection(port) {
+    let subscriber = null;
+
+    port.onMessage.addListener((message) => {
+        if (message.action === 'subscribe') {
+            // Sequence numbers from an earlier service worker mean nothing to this one
+            const lastSequence = message.streamId === streamId ? message.lastSequence : 0;
+
+            subscriber = {
+                port: port,
+                tabId: message.tabId,
+                sentSequence: lastSequence,
+                ackedSequence: lastSequence,
+                simulateKeys: message.simulateKeys !== false
+            };
+
+            if (!devToolsConnections.has(message.tabId)) {
+                devToolsConnections.set(message.tabId, new Set());
+                injectFocusTracer(message.tabId);
+            }
+            devToolsConnections.get(message.tabId).add(subscriber);
+
+            port.postMessage({ action: 'subscribed', streamId: streamId });
+            deliverEvents(subscriber);
+            broadcastPanelState(subscriber.tabId);
+            return;
+        }
+
+        if (!subscriber) return;
+
+        if (message.action === 'ack') {
+            subscriber.ackedSequence = Math.max(subscriber.ackedSequence, message.sequence);
+            deliverEvents(subscriber);
+        }
+
+        if (message.action === 'set-key-simulation') {
+            subscriber.simulateKeys = !!message.enabled;
+            broadcastPanelState(subscriber.tabId);
+        }
+
+        if (message.action === 'clear') {
+            // Keep the sequence counter so panels still recognise new events
+            const hub = getTabHub(subscriber.tabId);
+            hub.frames.clear();
+            hub.size = 0;
+        }
+    });
+
+    port.onDisconnect.addListener(() => {
+        if (!subscriber) return;
+
+        const subscribers = devToolsConnections.get(subscriber.tabId);
+        if (subscribers) {
+            subscribers.delete(subscriber);
+            if (subscribers.size === 0) {
+                devToolsConnections.delete(subscriber.tabId);
+                removeFocusTracer(subscriber.tabId);
+            }
+        }
+        broadcastPanelState(subscriber.tabId);
+    });
+}
+
+/**
+ * Receive events pushed by a content script
+ */
+function handleContentConnection(port) {
+    const tabId = port.sender && port.sender.tab ? port.sender.tab.id : null;
+    if (tabId === null) return;
+
+    const frameId = port.sender.frameId || 0;
+
+    // Content scripts only handle NVDA keys while a panel is attached
+    port.postMessage(getPanelState(tabId));
+
+    port.onMessage.addListener((message) => {
+        if (message.action === 'accessibility-event' && message.data) {
+            publishEvent(tabId, frameId, message.data);
+        }
+    });
+}
+
+// Content scripts push events and DevTools panels subscribe through long-lived ports
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name === 'devtools-panel') {
+        handlePanelConnection(port);
+    } else if (port.name === 'accessibility-events') {
+        handleContentConnection(port);
+    }
+});
+
+// Handle one-off requests from DevTools
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Relay panel requests to the content script in the inspected tab's top frame, or the frame an event came from
+    if (message.action === 'content-request') {
+        chrome.tabs.sendMessage(message.tabId, message.request, { frameId: message.frameId || 0 }).then((response) => {
+            sendResponse({ success: true, data: response });
+        }).catch((error) => {
+            sendResponse({ success: false, error: error.message });
         });
-        
-        sendResponse({ success: true });
         return true;
     }
 });
 
 // Handle extension installation
 chrome.runtime.onInstalled.addListener((details) => {
-    // Clear any previous event data
+    // Drop the event buffer older versions kept in storage; speech settings and recordings stay
     if (chrome.storage && chrome.storage.local) {
-        chrome.storage.local.clear(() => {
+        chrome.storage.local.remove(['accessibilityEvents'], () => {
             // Installation complete
         });
     }
@@ -121,30 +373,19 @@ chrome.runtime.onInstalled.addListener((details) => {
 
 // Handle tab updates to reinitialize monitoring
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    // Stop replaying the previous page's events once a new page starts loading
+    if (changeInfo.status === 'loading') {
+        resetTabBuffer(tabId);
+    }
+
     if (changeInfo.status === 'complete' && tab.url && isValidUrl(tab.url)) {
-        // Clear events for new page
-        if (chrome.storage && chrome.storage.local) {
-            chrome.storage.local.set({ accessibilityEvents: [] });
-        }
-        
-        // Clear DevTools connection state for this tab
-        devToolsConnections.delete(tabId);
-        
-        // Re-inject content script if needed (only for valid URLs)
+        // Inject into pages opened before the extension loaded; a copy already running ignores it
         chrome.scripting.executeScript({
             target: { tabId: tabId },
             files: ['content.js']
         }).catch(() => {
             // Content script might already be injected, or page might not allow injection
         });
-    } else if (changeInfo.status === 'complete' && tab.url && !isValidUrl(tab.url)) {
-        // Clear events for restricted pages
-        if (chrome.storage && chrome.storage.local) {
-            chrome.storage.local.set({ accessibilityEvents: [] });
-        }
-        
-        // Clear DevTools connection state
-        devToolsConnections.delete(tabId);
     }
 });
 
@@ -155,22 +396,20 @@ chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
             return;
         }
         
-        if (!isValidUrl(tab.url)) {
+        if (!isValidUrl(tab.url) || !isValidUrl(details.url)) {
             return;
         }
         
-        // Clear events for new page state
-        if (chrome.storage && chrome.storage.local) {
-            chrome.storage.local.set({ accessibilityEvents: [] });
-        }
+        // Stop replaying events from the frame's previous page state
+        resetTabBuffer(details.tabId, details.frameId);
         
-        // Send message to content script to reinitialize if needed
+        // Send message to the navigated frame's content script to reinitialize if needed
         chrome.tabs.sendMessage(details.tabId, {
             action: 'reinitialize'
-        }).catch(() => {
+        }, { frameId: details.frameId }).catch(() => {
             // Try re-injecting content script (only for valid URLs)
             chrome.scripting.executeScript({
-                target: { tabId: details.tabId },
+                target: { tabId: details.tabId, frameIds: [details.frameId] },
                 files: ['content.js']
             }).catch(() => {
                 // Failed to re-inject content script
@@ -179,7 +418,19 @@ chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
     });
 });
 
+// Clear a child frame's buffered events when that frame navigates, and trace focus calls in any new document
+chrome.webNavigation.onCommitted.addListener((details) => {
+    if (details.frameId !== 0) {
+        resetTabBuffer(details.tabId, details.frameId);
+    }
+
+    if (devToolsConnections.has(details.tabId) && isValidUrl(details.url)) {
+        injectFocusTracer(details.tabId, [details.frameId]);
+    }
+});
+
 // Clean up connections when tabs are closed
 chrome.tabs.onRemoved.addListener((tabId) => {
     devToolsConnections.delete(tabId);
+    tabHubs.delete(tabId);
 });
\ No newline at end of file
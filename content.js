@@ -1,6 +1,6 @@
 /**
  * Content script for Accessibility Logger
- * Monitors only Tab-triggered focus changes and arrow key navigation
+ * Monitors focus changes with their cause, blur, ARIA, live region, issue, mode and replay events
  */
 
 // Prevent multiple injections and handle reinitialization
@@ -22,6 +22,223 @@
         accessibilityMonitor = new AccessibilityMonitor();
     }
 
+    /**
+     * Check whether this frame is reachable from the top frame through same-origin frames
+     */
+    function isSameOriginChildFrame() {
+        if (window === window.top) return false;
+
+        let current = window;
+        try {
+            while (current !== current.top) {
+                if (!current.frameElement) return false;
+                current = current.parent;
+            }
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Flat Tree Helper
+     * Traverses the composed tree: open shadow roots, slotted content and same-origin iframes
+     */
+    class FlatTree {
+        /**
+         * Child nodes in rendering order
+         */
+        static getChildNodes(node, includeFrames = true) {
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return Array.from(node.childNodes || []);
+            }
+
+            if (node.shadowRoot) {
+                return Array.from(node.shadowRoot.childNodes);
+            }
+
+            const tagName = node.tagName.toLowerCase();
+
+            if (tagName === 'slot') {
+                const assigned = node.assignedNodes({ flatten: true });
+                return assigned.length > 0 ? assigned : Array.from(node.childNodes);
+            }
+
+            if (includeFrames && (tagName === 'iframe' || tagName === 'frame')) {
+                const frameDocument = FlatTree.getFrameDocument(node);
+                return frameDocument && frameDocument.body ? [frameDocument.body] : [];
+            }
+
+            return Array.from(node.childNodes);
+        }
+
+        /**
+         * Parent in the flat tree, crossing slots, shadow roots and frames
+         */
+        static getParent(node) {
+            if (node.assignedSlot) return node.assignedSlot;
+            if (node.parentElement) return node.parentElement;
+
+            const parent = node.parentNode;
+            if (!parent) return null;
+
+            if (parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE && parent.host) {
+                return parent.host;
+            }
+
+            if (parent.nodeType === Node.DOCUMENT_NODE) {
+                try {
+                    return parent.defaultView ? parent.defaultView.frameElement : null;
+                } catch (error) {
+                    return null;
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Depth-first walk in rendering order; return false from visit to skip a subtree
+         */
+        static walk(root, visit) {
+            const stack = FlatTree.getChildNodes(root).reverse();
+
+            while (stack.length > 0) {
+                const node = stack.pop();
+                if (visit(node) === false) continue;
+
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    stack.push(...FlatTree.getChildNodes(node).reverse());
+                }
+            }
+        }
+
+        /**
+         * Order two nodes in the flat tree: negative if a comes first, 0 if same or nested
+         */
+        static compareOrder(a, b) {
+            const pathA = FlatTree.getAncestry(a);
+            const pathB = FlatTree.getAncestry(b);
+
+            let index = 0;
+            while (index < pathA.length && index < pathB.length && pathA[index] === pathB[index]) {
+                index++;
+            }
+
+            if (index === pathA.length) return index === pathB.length ? 0 : -1;
+            if (index === pathB.length) return 1;
+            if (index === 0) {
+                return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+            }
+
+            const siblings = FlatTree.getChildNodes(pathA[index - 1]);
+            return siblings.indexOf(pathA[index]) - siblings.indexOf(pathB[index]);
+        }
+
+        /**
+         * Flat tree ancestors of a node, outermost first, ending with the node itself
+         */
+        static getAncestry(node) {
+            const path = [];
+            for (let current = node; current; current = FlatTree.getParent(current)) {
+                path.unshift(current);
+            }
+            return path;
+        }
+
+        /**
+         * Check if a node is inside another across shadow and frame boundaries
+         */
+        static contains(ancestor, node) {
+            for (let current = node; current; current = FlatTree.getParent(current)) {
+                if (current === ancestor) return true;
+            }
+            return false;
+        }
+
+        /**
+         * Closest flat tree ancestor (or self) matching a selector
+         */
+        static closest(element, selector) {
+            for (let current = element; current; current = FlatTree.getParent(current)) {
+                if (current.nodeType === Node.ELEMENT_NODE && current.matches(selector)) {
+                    return current;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Focused element inside open shadow roots and same-origin frames
+         */
+        static getDeepActiveElement() {
+            let active = document.activeElement;
+
+            while (active) {
+                if (active.shadowRoot && active.shadowRoot.activeElement) {
+                    active = active.shadowRoot.activeElement;
+                    continue;
+                }
+
+                const frameDocument = FlatTree.getFrameDocument(active);
+                if (frameDocument && frameDocument.activeElement &&
+                    frameDocument.activeElement !== frameDocument.body) {
+                    active = frameDocument.activeElement;
+                    continue;
+                }
+
+                break;
+            }
+
+            return active;
+        }
+
+        /**
+         * Document of a same-origin iframe, or null
+         */
+        static getFrameDocument(element) {
+            if (!element || !element.tagName || !['iframe', 'frame'].includes(element.tagName.toLowerCase())) {
+                return null;
+            }
+
+            try {
+                return element.contentDocument;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Computed style using the element's own window, so frame content resolves correctly
+         */
+        static getComputedStyle(element, pseudo) {
+            const view = element.ownerDocument.defaultView || window;
+            return pseudo ? view.getComputedStyle(element, pseudo) : view.getComputedStyle(element);
+        }
+
+        /**
+         * Element bounds in top-level page coordinates, including same-origin frame offsets
+         */
+        static getPageRect(element) {
+            const rect = element.getBoundingClientRect();
+            let left = rect.left;
+            let top = rect.top;
+
+            for (let view = element.ownerDocument.defaultView; view && view.frameElement; view = view.parent) {
+                const frameRect = view.frameElement.getBoundingClientRect();
+                left += frameRect.left + view.frameElement.clientLeft;
+                top += frameRect.top + view.frameElement.clientTop;
+            }
+
+            return {
+                left: Math.round(left + window.scrollX),
+                top: Math.round(top + window.scrollY),
+                width: Math.round(rect.width),
+                height: Math.round(rect.height)
+            };
+        }
+    }
+
     /**
      * Text Navigation Helper
      * Handles text content extraction for arrow key navigation
@@ -30,8 +247,22 @@
         constructor() {
             this.currentElement = null;
             this.currentLineIndex = 0;
+            this.currentOffset = 0; // Review cursor position within the current line
+            this.isCursorDisplaced = false; // The cursor's line was removed by the mutations being applied
+            this.renderingStates = new WeakMap(); // Last seen display and visibility of each element read
             this.textLines = [];
             this.initializeTextContent();
+
+            // Spoken names for symbols and whitespace, following NVDA's defaults
+            this.symbolNames = {
+                ' ': 'space', '\t': 'tab', '\u00a0': 'space',
+                '.': 'dot', ',': 'comma', '!': 'bang', '?': 'question', ';': 'semi', ':': 'colon',
+                '-': 'dash', '_': 'line', '(': 'left paren', ')': 'right paren',
+                '[': 'left bracket', ']': 'right bracket', '{': 'left brace', '}': 'right brace',
+                '"': 'quote', "'": 'tick', '`': 'grave', '/': 'slash', '\\': 'backslash',
+                '@': 'at', '#': 'number', '$': 'dollar', '%': 'percent', '^': 'caret', '&': 'and',
+                '*': 'star', '+': 'plus', '=': 'equals', '<': 'less', '>': 'greater', '|': 'bar', '~': 'tilde'
+            };
         }
 
         /**
@@ -42,39 +273,25 @@
         }
 
         /**
-         * Extract text lines from the page content
+         * Extract text lines from the page content, or from one node and its subtree
          */
-        extractTextLines() {
+        extractTextLines(root = document.body) {
             const lines = [];
-            const walker = document.createTreeWalker(
-                document.body,
-                NodeFilter.SHOW_TEXT,
-                {
-                    acceptNode: (node) => {
-                        // Only include visible text nodes with meaningful content
-                        const parent = node.parentElement;
-                        if (!parent) return NodeFilter.FILTER_REJECT;
-                        
-                        const style = window.getComputedStyle(parent);
-                        const text = node.textContent.trim();
-                        
-                        if (text.length === 0) return NodeFilter.FILTER_REJECT;
-                        if (style.display === 'none') return NodeFilter.FILTER_REJECT;
-                        if (style.visibility === 'hidden') return NodeFilter.FILTER_REJECT;
-                        if (['script', 'style', 'noscript'].includes(parent.tagName?.toLowerCase())) {
-                            return NodeFilter.FILTER_REJECT;
-                        }
-                        
-                        return NodeFilter.FILTER_ACCEPT;
-                    }
+            if (!root) return lines;
+
+            const visit = (node) => {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    return !this.isExcludedElement(node);
                 }
-            );
 
-            let node;
-            while (node = walker.nextNode()) {
+                if (node.nodeType !== Node.TEXT_NODE) return false;
+
+                // Only include visible text nodes with meaningful content
+                const parent = FlatTree.getParent(node);
                 const text = node.textContent.trim();
-                const parent = node.parentElement;
-                
+                if (!parent || text.length === 0) return false;
+                if (FlatTree.getComputedStyle(parent).visibility === 'hidden') return false;
+
                 // Split by natural line breaks and sentences for better navigation
                 const textSegments = this.splitIntoLines(text, parent);
                 textSegments.forEach(segment => {
@@ -86,11 +303,65 @@
                         });
                     }
                 });
+                return false;
+            };
+
+            // Walk the flat tree so shadow DOM, slotted content and same-origin frames share one reading order
+            if (visit(root) !== false) {
+                FlatTree.walk(root, visit);
             }
 
             return lines;
         }
 
+        /**
+         * Check if an element and its subtree are left out of the buffer
+         */
+        isExcludedElement(element) {
+            if (['script', 'style', 'noscript', 'template'].includes(element.tagName.toLowerCase())) {
+                return true;
+            }
+            return this.getRenderingState(element).display === 'none';
+        }
+
+        /**
+         * Computed display and visibility of an element, remembered for later comparison
+         */
+        getRenderingState(element) {
+            const style = FlatTree.getComputedStyle(element);
+            const state = { display: style.display, visibility: style.visibility };
+            this.renderingStates.set(element, state);
+            return state;
+        }
+
+        /**
+         * Check if an attribute change showed or hid an element, or with a class change, one of its descendants
+         */
+        hasRenderingChanged(element, includeDescendants) {
+            // Never read: it sits in a hidden or excluded subtree its own attributes cannot reveal
+            if (!this.renderingStates.has(element)) return false;
+
+            let changed = false;
+            const compare = (node) => {
+                const previous = this.renderingStates.get(node);
+                const current = this.getRenderingState(node);
+                if (!previous || previous.display !== current.display || previous.visibility !== current.visibility) {
+                    changed = true;
+                }
+                return current.display !== 'none';
+            };
+
+            if (compare(element) && includeDescendants && !changed) {
+                FlatTree.walk(element, (node) => {
+                    if (changed || node.nodeType !== Node.ELEMENT_NODE) return false;
+                    if (!this.renderingStates.has(node)) return false;
+                    return compare(node);
+                });
+            }
+
+            return changed;
+        }
+
         /**
          * Split text into logical lines based on content and element type
          */
@@ -127,6 +398,7 @@
             const nextIndex = this.currentLineIndex + 1;
             if (nextIndex < this.textLines.length) {
                 this.currentLineIndex = nextIndex;
+                this.currentOffset = 0;
                 return this.textLines[nextIndex].text;
             }
             return null;
@@ -139,30 +411,137 @@
             const prevIndex = this.currentLineIndex - 1;
             if (prevIndex >= 0) {
                 this.currentLineIndex = prevIndex;
+                this.currentOffset = 0;
                 return this.textLines[prevIndex].text;
             }
             return null;
         }
 
         /**
-         * Get character-level navigation text
+         * Move the review cursor by one character, wrapping across lines
          */
-        getCharacterNavigation(direction) {
-            const currentLine = this.getCurrentLineText();
-            if (!currentLine) return null;
-            
-            // For character navigation, return a portion of the current line
-            const maxLength = 50;
-            if (currentLine.length <= maxLength) {
-                return currentLine;
+        moveByCharacter(direction) {
+            const line = this.getCurrentLineText();
+            if (line === null) return null;
+
+            if (direction === 'next') {
+                if (this.currentOffset < line.length - 1) {
+                    this.currentOffset++;
+                } else if (this.currentLineIndex < this.textLines.length - 1) {
+                    this.currentLineIndex++;
+                    this.currentOffset = 0;
+                } else {
+                    return null;
+                }
+            } else {
+                if (this.currentOffset > 0) {
+                    this.currentOffset--;
+                } else if (this.currentLineIndex > 0) {
+                    this.currentLineIndex--;
+                    this.currentOffset = Math.max(this.getCurrentLineText().length - 1, 0);
+                } else {
+                    return null;
+                }
             }
-            
-            // Return beginning or end portion based on direction
+
+            return this.getCurrentCharacter();
+        }
+
+        /**
+         * Move the review cursor to the start of the next or previous word
+         */
+        moveByWord(direction) {
+            const line = this.getCurrentLineText();
+            if (line === null) return null;
+
+            const starts = this.getWordStarts(line);
+
             if (direction === 'next') {
-                return currentLine.substring(0, maxLength) + '...';
+                const nextStart = starts.find(start => start > this.currentOffset);
+                if (nextStart !== undefined) {
+                    this.currentOffset = nextStart;
+                } else if (this.currentLineIndex < this.textLines.length - 1) {
+                    this.currentLineIndex++;
+                    this.currentOffset = this.getWordStarts(this.getCurrentLineText())[0] || 0;
+                } else {
+                    return null;
+                }
             } else {
-                return '...' + currentLine.substring(currentLine.length - maxLength);
+                const previousStarts = starts.filter(start => start < this.currentOffset);
+                if (previousStarts.length > 0) {
+                    this.currentOffset = previousStarts[previousStarts.length - 1];
+                } else if (this.currentLineIndex > 0) {
+                    this.currentLineIndex--;
+                    const lineStarts = this.getWordStarts(this.getCurrentLineText());
+                    this.currentOffset = lineStarts[lineStarts.length - 1] || 0;
+                } else {
+                    return null;
+                }
+            }
+
+            return this.getCurrentWord();
+        }
+
+        /**
+         * Move the review cursor to the first character of the line
+         */
+        moveToLineStart() {
+            if (this.getCurrentLineText() === null) return null;
+            this.currentOffset = 0;
+            return this.getCurrentCharacter();
+        }
+
+        /**
+         * Move the review cursor to the last character of the line
+         */
+        moveToLineEnd() {
+            const line = this.getCurrentLineText();
+            if (line === null) return null;
+            this.currentOffset = Math.max(line.length - 1, 0);
+            return this.getCurrentCharacter();
+        }
+
+        /**
+         * Offsets where words start in a line
+         */
+        getWordStarts(line) {
+            const starts = [];
+            const wordPattern = /\S+/g;
+            let match;
+            while ((match = wordPattern.exec(line)) !== null) {
+                starts.push(match.index);
             }
+            return starts;
+        }
+
+        /**
+         * Character under the review cursor
+         */
+        getCurrentCharacter() {
+            const line = this.getCurrentLineText();
+            return line ? line.charAt(this.currentOffset) : null;
+        }
+
+        /**
+         * Word under the review cursor
+         */
+        getCurrentWord() {
+            const line = this.getCurrentLineText();
+            if (!line) return null;
+
+            const rest = line.substring(this.currentOffset);
+            const match = rest.match(/^\S+/);
+            return match ? match[0] : this.getSpokenCharacter(line.charAt(this.currentOffset));
+        }
+
+        /**
+         * Spoken form of a character: symbol names, spaces and capitals
+         */
+        getSpokenCharacter(character) {
+            if (character === null || character === '') return 'blank';
+            if (this.symbolNames[character]) return this.symbolNames[character];
+            if (character !== character.toLowerCase()) return `cap ${character}`;
+            return character;
         }
 
         /**
@@ -184,8 +563,9 @@
             // Find the closest text line that belongs to this element or its children
             for (let i = 0; i < this.textLines.length; i++) {
                 const line = this.textLines[i];
-                if (element.contains(line.element) || line.element.contains(element) || line.element === element) {
+                if (FlatTree.contains(element, line.element) || FlatTree.contains(line.element, element)) {
                     this.currentLineIndex = i;
+                    this.currentOffset = 0;
                     return i;
                 }
             }
@@ -199,115 +579,3463 @@
         refresh() {
             this.initializeTextContent();
             this.currentLineIndex = 0;
+            this.currentOffset = 0;
         }
-    }
 
-    /**
-     * Accessibility Event Monitor
-     * Simplified to only track Tab-triggered focus changes and arrow key navigation
-     */
-    class AccessibilityMonitor {
-        constructor() {
-            this.isDevToolsReady = false;
-            this.eventQueue = [];
-            this.observers = [];
-            this.eventListeners = [];
-            this.connectionCheckInterval = null;
-            this.textReader = new TextReader();
-            this.lastKeyPressed = null; // Track the last key pressed
-            
-            this.init();
+        /**
+         * Apply DOM mutations to the buffer, re-reading only the subtrees they touched
+         */
+        applyMutations(mutations) {
+            const roots = [];
+            const removedNodes = [];
+            const restyled = new Map(); // Element to whether its class changed
+
+            mutations.forEach((mutation) => {
+                if (mutation.type === 'childList') {
+                    roots.push(...mutation.addedNodes);
+                    removedNodes.push(...mutation.removedNodes);
+                } else if (mutation.type === 'attributes') {
+                    restyled.set(mutation.target, restyled.get(mutation.target) || mutation.attributeName === 'class');
+                } else {
+                    roots.push(mutation.target);
+                }
+            });
+
+            // Style and class changes are frequent in animations; re-read only what they showed or hid
+            restyled.forEach((classChanged, element) => {
+                if (this.hasRenderingChanged(element, classChanged)) {
+                    roots.push(element);
+                }
+            });
+
+            // Removed nodes that are still in the page were moved, and are read again where they landed
+            this.updateSubtrees(roots, removedNodes.filter(node => node.isConnected));
         }
 
-        init() {
-            this.setupConnectionCheck();
-            this.setupRuntimeMessageListener();
-            this.setupFocusMonitoring();
-            this.setupKeyboardMonitoring();
-            this.setupNavigationListener();
+        /**
+         * Drop lines whose nodes left the page, then re-read each root's subtree in place
+         */
+        updateSubtrees(roots, movedNodes = []) {
+            this.isCursorDisplaced = false;
+
+            this.removeLines(line => !this.isAttached(line.node) ||
+                movedNodes.some(node => FlatTree.contains(node, line.node)));
+            this.getOutermostNodes(roots).forEach(root => this.updateSubtree(root));
+
+            this.isCursorDisplaced = false;
         }
 
         /**
-         * Check connection to background script periodically
+         * Replace the lines read from a node and its subtree with what it reads as now
          */
-        setupConnectionCheck() {
-            this.connectionCheckInterval = setInterval(() => {
-                chrome.runtime.sendMessage({ action: 'ping' }, (response) => {
-                    if (chrome.runtime.lastError) {
-                        // Connection lost, may need reinitialization
-                    }
-                });
-            }, 30000); // Check every 30 seconds
+        updateSubtree(root) {
+            if (!this.isAttached(root) || !document.body || !FlatTree.contains(document.body, root)) return;
+
+            const start = this.findInsertionIndex(root);
+            let end = start;
+            while (end < this.textLines.length && FlatTree.contains(root, this.textLines[end].node)) {
+                end++;
+            }
+
+            this.replaceLines(start, end, this.isRendered(root) ? this.extractTextLines(root) : []);
         }
 
         /**
-         * Listen for messages from background script
+         * Index of the first line at or after a node in reading order, by binary search
          */
-        setupRuntimeMessageListener() {
-            const messageListener = (request, sender, sendResponse) => {
-                if (request.action === 'devtools-ready') {
-                    this.isDevToolsReady = true;
-                    this.processEventQueue();
-                    sendResponse({ success: true });
-                }
-                
-                if (request.action === 'devtools-closed') {
-                    this.isDevToolsReady = false;
-                    sendResponse({ success: true });
-                }
-                
-                if (request.action === 'reinitialize') {
-                    this.reinitialize();
-                    sendResponse({ success: true });
+        findInsertionIndex(node) {
+            let low = 0;
+            let high = this.textLines.length;
+
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (FlatTree.compareOrder(this.textLines[middle].node, node) < 0) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
                 }
-            };
-            
-            chrome.runtime.onMessage.addListener(messageListener);
-            this.eventListeners.push({ 
-                target: chrome.runtime.onMessage, 
-                listener: messageListener 
-            });
+            }
+
+            return low;
         }
 
         /**
-         * Listen for navigation and reinitialization messages
+         * Splice lines into the buffer, keeping the review cursor on the line it was reading
          */
-        setupNavigationListener() {
-            // Listen for page visibility changes
-            const visibilityChangeListener = () => {
-                if (document.visibilityState === 'visible') {
-                    this.checkAndReinitialize();
-                }
-            };
-            
-            document.addEventListener('visibilitychange', visibilityChangeListener);
-            this.eventListeners.push({ 
-                target: document, 
-                event: 'visibilitychange', 
-                listener: visibilityChangeListener 
-            });
+        replaceLines(start, end, lines) {
+            const current = this.textLines[this.currentLineIndex];
+            const index = this.currentLineIndex;
+            // Which of its node's lines the cursor is on, for long text split into sentences
+            const segment = this.textLines.slice(start, index).filter(line => current && line.node === current.node).length;
 
-            // Listen for DOM changes to refresh text reader
-            const mutationObserver = new MutationObserver((mutations) => {
-                let shouldRefresh = false;
-                mutations.forEach((mutation) => {
-                    if (mutation.type === 'childList' && 
-                        (mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0)) {
-                        shouldRefresh = true;
+            this.textLines = this.textLines.slice(0, start).concat(lines, this.textLines.slice(end));
+            if (!current) return;
+
+            if (index >= end && !(this.isCursorDisplaced && index === start)) {
+                // Content above the cursor grew or shrank
+                this.currentLineIndex = index + lines.length - (end - start);
+            } else if (index >= start) {
+                this.currentLineIndex = start + this.findAnchorLine(current, segment, lines);
+            }
+
+            this.clampCursor();
+        }
+
+        /**
+         * Position of the cursor's line among re-read lines: same node and segment, else the first line
+         */
+        findAnchorLine(current, segment, lines) {
+            const matches = lines.filter(line => line.node === current.node);
+
+            // The cursor's old line is gone; it now reads whatever took its place
+            if (matches.length === 0 || this.isCursorDisplaced) {
+                this.isCursorDisplaced = false;
+                this.currentOffset = 0;
+                return 0;
+            }
+
+            const line = matches[Math.min(segment, matches.length - 1)];
+            if (line.text !== current.text) {
+                this.currentOffset = Math.min(this.currentOffset, Math.max(line.text.length - 1, 0));
+            }
+            return lines.indexOf(line);
+        }
+
+        /**
+         * Remove matching lines; a cursor on a removed line moves to the line that follows
+         */
+        removeLines(isRemoved) {
+            const kept = [];
+            let currentLineIndex = this.currentLineIndex;
+
+            this.textLines.forEach((line, index) => {
+                if (index === this.currentLineIndex) {
+                    currentLineIndex = kept.length;
+                    if (isRemoved(line)) {
+                        this.isCursorDisplaced = true;
+                        this.currentOffset = 0;
+                    }
+                }
+                if (!isRemoved(line)) kept.push(line);
+            });
+
+            if (kept.length === this.textLines.length) return;
+
+            this.textLines = kept;
+            this.currentLineIndex = currentLineIndex;
+            this.clampCursor();
+        }
+
+        /**
+         * Keep the cursor index inside the buffer
+         */
+        clampCursor() {
+            this.currentLineIndex = Math.max(Math.min(this.currentLineIndex, this.textLines.length - 1), 0);
+        }
+
+        /**
+         * Nodes that are not inside another of the given nodes, without duplicates
+         */
+        getOutermostNodes(nodes) {
+            const unique = new Set(nodes);
+
+            return Array.from(unique).filter((node) => {
+                for (let current = FlatTree.getParent(node); current; current = FlatTree.getParent(current)) {
+                    if (unique.has(current)) return false;
+                }
+                return true;
+            });
+        }
+
+        /**
+         * Check if a node is in a live document; nodes of a replaced frame document are not
+         */
+        isAttached(node) {
+            return node.isConnected && !!node.ownerDocument.defaultView;
+        }
+
+        /**
+         * Check if a node's ancestors let it render: none excluded, and slotted when in a shadow host
+         */
+        isRendered(node) {
+            for (let current = node; current && current !== document.body; current = FlatTree.getParent(current)) {
+                const parent = FlatTree.getParent(current);
+                if (parent && parent.shadowRoot && !current.assignedSlot && current.parentNode === parent) {
+                    return false;
+                }
+                if (current.nodeType === Node.ELEMENT_NODE && this.isExcludedElement(current)) {
+                    return false;
+                }
+            }
+            return true;
+        }
+    }
+
+    /**
+     * Accessible Name Calculator
+     * Computes accessible names and descriptions following the W3C accname algorithm
+     */
+    class AccessibleNameCalculator {
+        constructor() {
+            // Roles whose name can be computed from their content (accname step 2F)
+            this.nameFromContentRoles = [
+                'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading',
+                'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option',
+                'radio', 'row', 'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+            ];
+
+            // Input types rendered as single-line text boxes
+            this.textInputTypes = ['text', 'email', 'tel', 'url', 'search', 'password', 'number'];
+
+            // Roles that take part in a name computation through their value (accname step 2E)
+            this.rangeRoles = ['slider', 'spinbutton', 'progressbar', 'scrollbar', 'meter'];
+        }
+
+        /**
+         * Compute the accessible name of an element and report where it came from
+         */
+        computeName(element) {
+            if (!this.isElement(element)) {
+                return { name: '', source: null };
+            }
+
+            const context = this.createContext();
+            const name = this.normalize(this.computeTextAlternative(element, context));
+
+            return { name: name, source: name ? context.source : null };
+        }
+
+        /**
+         * Compute the accessible description of an element
+         */
+        computeDescription(element, nameSource) {
+            if (!this.isElement(element)) return '';
+
+            const describedBy = this.getReferencedElements(element, 'aria-describedby');
+            if (describedBy.length > 0) {
+                const description = this.normalize(describedBy
+                    .map(ref => this.computeTextAlternative(ref, this.createContext({
+                        depth: 1,
+                        inReference: true,
+                        includeHidden: true
+                    })))
+                    .join(' '));
+                if (description) return description;
+            }
+
+            const ariaDescription = element.getAttribute('aria-description');
+            if (ariaDescription && ariaDescription.trim()) {
+                return this.normalize(ariaDescription);
+            }
+
+            // A title that was not used for the name becomes the description
+            if (nameSource !== 'title' && element.getAttribute('title')) {
+                return this.normalize(element.getAttribute('title'));
+            }
+
+            return '';
+        }
+
+        /**
+         * Create a fresh traversal context for one name computation
+         */
+        createContext(overrides = {}) {
+            return {
+                visited: new Set(),
+                depth: 0,
+                source: null,
+                inReference: false,
+                inContent: false,
+                includeHidden: false,
+                ancestorsVisible: false,
+                ...overrides
+            };
+        }
+
+        /**
+         * Text alternative computation for a single node (accname section 4.3.2)
+         */
+        computeTextAlternative(node, context) {
+            if (context.visited.has(node)) return '';
+            context.visited.add(node);
+
+            // Step 2G: text nodes contribute their text
+            if (node.nodeType === Node.TEXT_NODE) {
+                return node.textContent;
+            }
+
+            if (!this.isElement(node)) return '';
+
+            const element = node;
+            const isRoot = context.depth === 0;
+            const role = this.getRole(element);
+
+            // Step 2A: hidden nodes are skipped unless reached through a reference
+            if (!context.includeHidden && this.isHidden(element, !context.ancestorsVisible)) {
+                return '';
+            }
+
+            // Step 2B: aria-labelledby, unless already following a reference
+            if (!context.inReference) {
+                const labelledBy = this.getReferencedElements(element, 'aria-labelledby');
+                if (labelledBy.length > 0) {
+                    const text = labelledBy
+                        .map(ref => this.computeTextAlternative(ref, {
+                            ...context,
+                            depth: context.depth + 1,
+                            inReference: true,
+                            ancestorsVisible: false,
+                            includeHidden: context.includeHidden || this.isHidden(ref)
+                        }))
+                        .join(' ');
+
+                    if (text.trim()) {
+                        this.recordSource(context, isRoot, 'aria-labelledby');
+                        return text;
+                    }
+                }
+            }
+
+            const isEmbedded = !isRoot && (context.inContent || context.inReference) &&
+                this.isEmbeddedControl(element, role);
+
+            // Step 2C: aria-label, except for controls embedded in another label
+            const ariaLabel = element.getAttribute('aria-label');
+            if (!isEmbedded && ariaLabel && ariaLabel.trim()) {
+                this.recordSource(context, isRoot, 'aria-label');
+                return ariaLabel;
+            }
+
+            // Step 2D: native host language labelling
+            if (!isEmbedded && role !== 'presentation' && role !== 'none') {
+                const native = this.getNativeTextAlternative(element, context);
+                if (native) {
+                    this.recordSource(context, isRoot, native.source);
+                    return native.text;
+                }
+            }
+
+            // Step 2E: embedded controls contribute their current value
+            if (isEmbedded) {
+                return this.getEmbeddedControlValue(element, role);
+            }
+
+            // Step 2F: name from content
+            if (!isRoot || this.nameFromContentRoles.includes(role)) {
+                const text = this.getTextFromContent(element, context);
+                if (text.trim()) {
+                    this.recordSource(context, isRoot, 'contents');
+                    return text;
+                }
+            }
+
+            // Step 2I: tooltip attribute, then placeholder as a last resort
+            const title = element.getAttribute('title');
+            if (title && title.trim()) {
+                this.recordSource(context, isRoot, 'title');
+                return title;
+            }
+
+            const placeholder = element.getAttribute('placeholder');
+            if (isRoot && placeholder && placeholder.trim()) {
+                this.recordSource(context, isRoot, 'placeholder');
+                return placeholder;
+            }
+
+            return '';
+        }
+
+        /**
+         * Compute the text a screen reader would read for a subtree
+         */
+        computeTextContent(node) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                const parent = FlatTree.getParent(node);
+                return parent && this.isHidden(parent) ? '' : this.normalize(node.textContent);
+            }
+
+            if (!this.isElement(node) || this.isHidden(node)) return '';
+
+            return this.normalize(this.getTextFromContent(node, this.createContext({
+                depth: 1,
+                inContent: true
+            })));
+        }
+
+        /**
+         * Native HTML labelling mechanisms (HTML-AAM accessible name computation)
+         */
+        getNativeTextAlternative(element, context) {
+            const tagName = element.tagName.toLowerCase();
+            const type = (element.getAttribute('type') || '').toLowerCase();
+
+            if (tagName === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+                const value = element.getAttribute('value');
+                if (value && value.trim()) {
+                    return { text: value, source: 'value' };
+                }
+                if (type === 'submit') return { text: 'Submit', source: 'default' };
+                if (type === 'reset') return { text: 'Reset', source: 'default' };
+                return null;
+            }
+
+            if (tagName === 'input' && type === 'image') {
+                const alt = element.getAttribute('alt');
+                if (alt && alt.trim()) return { text: alt, source: 'alt' };
+                const value = element.getAttribute('value');
+                if (value && value.trim()) return { text: value, source: 'value' };
+                if (!element.getAttribute('title')) return { text: 'Submit', source: 'default' };
+                return null;
+            }
+
+            // <label for> and wrapping labels for labelable elements
+            if (element.labels && element.labels.length > 0) {
+                const text = Array.from(element.labels)
+                    .map(label => this.computeTextAlternative(label, {
+                        ...context,
+                        depth: context.depth + 1,
+                        inContent: true,
+                        ancestorsVisible: false
+                    }))
+                    .join(' ');
+                if (text.trim()) return { text: text, source: 'label' };
+            }
+
+            if (['img', 'area'].includes(tagName) && element.hasAttribute('alt')) {
+                return { text: element.getAttribute('alt'), source: 'alt' };
+            }
+
+            const captionSources = {
+                fieldset: 'legend',
+                table: 'caption',
+                figure: 'figcaption'
+            };
+            if (captionSources[tagName]) {
+                const captionTag = captionSources[tagName];
+                const caption = Array.from(element.children)
+                    .find(child => child.tagName.toLowerCase() === captionTag);
+                if (caption) {
+                    const text = this.computeTextAlternative(caption, {
+                        ...context,
+                        depth: context.depth + 1,
+                        inContent: true
+                    });
+                    if (text.trim()) return { text: text, source: captionTag };
+                }
+            }
+
+            if (tagName === 'svg') {
+                const svgTitle = Array.from(element.children)
+                    .find(child => child.tagName.toLowerCase() === 'title');
+                if (svgTitle && svgTitle.textContent.trim()) {
+                    return { text: svgTitle.textContent, source: 'svg-title' };
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Collect text from child nodes and CSS generated content (accname step 2F)
+         */
+        getTextFromContent(element, context) {
+            const parts = [this.getPseudoContent(element, '::before')];
+
+            FlatTree.getChildNodes(element, false).forEach(child => {
+                const text = this.computeTextAlternative(child, {
+                    ...context,
+                    depth: context.depth + 1,
+                    inContent: true,
+                    ancestorsVisible: true
+                });
+
+                // Block-level children are separated from their siblings
+                if (this.isElement(child) && this.isBlockElement(child)) {
+                    parts.push(` ${text} `);
+                } else {
+                    parts.push(text);
+                }
+            });
+
+            parts.push(this.getPseudoContent(element, '::after'));
+            return parts.join('');
+        }
+
+        /**
+         * Read CSS generated content for ::before and ::after
+         */
+        getPseudoContent(element, pseudo) {
+            const content = FlatTree.getComputedStyle(element, pseudo).content;
+            if (!content || content === 'none' || content === 'normal') return '';
+
+            const match = content.match(/^["'](.*)["']$/);
+            return match ? match[1] : '';
+        }
+
+        /**
+         * Current value of a control embedded in another element's label
+         */
+        getEmbeddedControlValue(element, role) {
+            if (role === 'textbox' || role === 'searchbox') {
+                return element.value !== undefined ? element.value : element.textContent;
+            }
+
+            if (role === 'combobox' || role === 'listbox') {
+                if (element.tagName.toLowerCase() === 'select') {
+                    return Array.from(element.selectedOptions).map(option => option.text).join(' ');
+                }
+                if (element.value !== undefined && element.tagName.toLowerCase() === 'input') {
+                    return element.value;
+                }
+                const selected = element.querySelectorAll('[role="option"][aria-selected="true"]');
+                return Array.from(selected).map(option => option.textContent).join(' ');
+            }
+
+            if (this.rangeRoles.includes(role)) {
+                return element.getAttribute('aria-valuetext') ||
+                       element.getAttribute('aria-valuenow') ||
+                       (element.value !== undefined ? String(element.value) : '');
+            }
+
+            return '';
+        }
+
+        /**
+         * Check whether an element is a control that embeds a value in a label
+         */
+        isEmbeddedControl(element, role) {
+            return ['textbox', 'searchbox', 'combobox', 'listbox'].includes(role) ||
+                   this.rangeRoles.includes(role);
+        }
+
+        /**
+         * Resolve an ID reference list attribute to elements in the same tree
+         */
+        getReferencedElements(element, attribute) {
+            const ids = (element.getAttribute(attribute) || '').split(/\s+/).filter(Boolean);
+            const root = element.getRootNode();
+            const lookup = root.getElementById ? root : document;
+
+            return ids
+                .map(id => lookup.getElementById(id))
+                .filter(ref => ref !== null);
+        }
+
+        /**
+         * Compute the role of an element, explicit or implicit
+         */
+        getRole(element) {
+            if (!this.isElement(element)) return null;
+
+            const explicitRole = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+            if (explicitRole) return explicitRole.toLowerCase();
+
+            return this.getImplicitRole(element);
+        }
+
+        /**
+         * Implicit ARIA role from HTML-AAM
+         */
+        getImplicitRole(element) {
+            const tagName = element.tagName.toLowerCase();
+            const type = (element.getAttribute('type') || 'text').toLowerCase();
+
+            switch (tagName) {
+                case 'a':
+                case 'area':
+                    return element.hasAttribute('href') ? 'link' : 'generic';
+                case 'button':
+                case 'summary':
+                    return 'button';
+                case 'input':
+                    if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+                    if (type === 'checkbox') return 'checkbox';
+                    if (type === 'radio') return 'radio';
+                    if (type === 'range') return 'slider';
+                    if (type === 'number') return 'spinbutton';
+                    if (type === 'hidden') return null;
+                    if (element.hasAttribute('list')) return 'combobox';
+                    if (type === 'search') return 'searchbox';
+                    return this.textInputTypes.includes(type) ? 'textbox' : null;
+                case 'textarea':
+                    return 'textbox';
+                case 'select':
+                    return (element.multiple || element.size > 1) ? 'listbox' : 'combobox';
+                case 'option':
+                    return 'option';
+                case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+                    return 'heading';
+                case 'ul':
+                case 'ol':
+                case 'menu':
+                    return 'list';
+                case 'li':
+                    return 'listitem';
+                case 'nav':
+                    return 'navigation';
+                case 'main':
+                    return 'main';
+                case 'aside':
+                    return 'complementary';
+                case 'header':
+                    return this.isScopedToSection(element) ? 'generic' : 'banner';
+                case 'footer':
+                    return this.isScopedToSection(element) ? 'generic' : 'contentinfo';
+                case 'section':
+                    return this.hasLabelAttribute(element) ? 'region' : 'generic';
+                case 'form':
+                    return this.hasLabelAttribute(element) ? 'form' : 'generic';
+                case 'article':
+                    return 'article';
+                case 'dialog':
+                    return 'dialog';
+                case 'fieldset':
+                case 'details':
+                case 'optgroup':
+                    return 'group';
+                case 'figure':
+                    return 'figure';
+                case 'img':
+                    return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+                case 'table':
+                    return 'table';
+                case 'thead':
+                case 'tbody':
+                case 'tfoot':
+                    return 'rowgroup';
+                case 'tr':
+                    return 'row';
+                case 'td':
+                    return element.closest('table')?.getAttribute('role') === 'grid' ? 'gridcell' : 'cell';
+                case 'th':
+                    return element.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+                case 'hr':
+                    return 'separator';
+                case 'progress':
+                    return 'progressbar';
+                case 'meter':
+                    return 'meter';
+                case 'output':
+                    return 'status';
+                case 'p':
+                    return 'paragraph';
+                case 'blockquote':
+                    return 'blockquote';
+                case 'dd':
+                    return 'definition';
+                case 'dt':
+                    return 'term';
+                default:
+                    return null;
+            }
+        }
+
+        /**
+         * Heading level from aria-level or the tag name
+         */
+        getHeadingLevel(element) {
+            const ariaLevel = parseInt(element.getAttribute('aria-level'), 10);
+            if (ariaLevel > 0) return ariaLevel;
+
+            const match = element.tagName.toLowerCase().match(/^h([1-6])$/);
+            return match ? parseInt(match[1], 10) : 2;
+        }
+
+        /**
+         * Header and footer only map to landmarks outside sectioning content
+         */
+        isScopedToSection(element) {
+            return !!element.parentElement?.closest('article, aside, main, nav, section');
+        }
+
+        /**
+         * Check for an author-supplied label
+         */
+        hasLabelAttribute(element) {
+            return !!(element.getAttribute('aria-label') || element.getAttribute('aria-labelledby') ||
+                      element.getAttribute('title'));
+        }
+
+        /**
+         * Check if an element is excluded from the accessibility tree
+         */
+        isHidden(element, checkAncestors = true) {
+            for (let current = element; current && this.isElement(current); current = FlatTree.getParent(current)) {
+                if (current !== element && !checkAncestors) break;
+
+                if (current.hidden || current.getAttribute('aria-hidden') === 'true') {
+                    return true;
+                }
+
+                const style = FlatTree.getComputedStyle(current);
+                if (style.display === 'none') return true;
+                if (current === element && style.visibility === 'hidden') return true;
+            }
+            return false;
+        }
+
+        /**
+         * Check whether an element renders as a block for spacing purposes
+         */
+        isBlockElement(element) {
+            const display = FlatTree.getComputedStyle(element).display;
+            return !display.startsWith('inline') && display !== 'contents';
+        }
+
+        /**
+         * Remember the name source for the element the computation started on
+         */
+        recordSource(context, isRoot, source) {
+            if (isRoot) {
+                context.source = source;
+            }
+        }
+
+        isElement(node) {
+            return !!node && node.nodeType === Node.ELEMENT_NODE;
+        }
+
+        /**
+         * Collapse whitespace the way a screen reader would present it
+         */
+        normalize(text) {
+            return (text || '').replace(/\s+/g, ' ').trim();
+        }
+    }
+
+    /**
+     * Live Region Tracker
+     * Turns DOM mutations inside live regions into screen reader announcements
+     */
+    class LiveRegionTracker {
+        constructor(nameCalculator) {
+            this.nameCalculator = nameCalculator;
+
+            // Default politeness and atomic values for roles with implicit live semantics
+            this.liveRoles = {
+                alert: { politeness: 'assertive', atomic: true },
+                status: { politeness: 'polite', atomic: true },
+                log: { politeness: 'polite', atomic: false },
+                marquee: { politeness: 'off', atomic: false },
+                timer: { politeness: 'off', atomic: false }
+            };
+
+            // Changes collected while a region is aria-busy
+            this.busyRegions = new Map();
+        }
+
+        /**
+         * Process a batch of mutation records and return announcements to report
+         */
+        processMutations(mutations) {
+            const changes = new Map();
+
+            mutations.forEach((mutation) => {
+                if (mutation.type === 'attributes') {
+                    if (mutation.attributeName === 'aria-busy' &&
+                        mutation.target.getAttribute('aria-busy') !== 'true') {
+                        this.releaseBusyRegions(mutation.target, changes);
+                    }
+                    return;
+                }
+
+                const target = mutation.type === 'characterData'
+                    ? FlatTree.getParent(mutation.target)
+                    : mutation.target;
+                const region = this.findLiveRegion(target);
+
+                if (!region) {
+                    // Alerts are announced when inserted, even with existing content
+                    if (mutation.type === 'childList') {
+                        mutation.addedNodes.forEach((node) => {
+                            if (this.isElement(node) && this.nameCalculator.getRole(node) === 'alert') {
+                                this.getChanges(changes, node).atomicRoots.add(node);
+                            }
+                        });
+                    }
+                    return;
+                }
+
+                const regionChanges = this.getChanges(changes, region);
+                const relevant = this.getRelevant(target, region);
+
+                if (mutation.type === 'characterData') {
+                    if (relevant.includes('text')) {
+                        this.recordAddition(regionChanges, mutation.target, region);
+                    }
+                    return;
+                }
+
+                if (relevant.includes('additions')) {
+                    mutation.addedNodes.forEach(node => this.recordAddition(regionChanges, node, region));
+                }
+
+                if (relevant.includes('removals')) {
+                    mutation.removedNodes.forEach((node) => {
+                        const text = this.nameCalculator.normalize(node.textContent);
+                        if (text) regionChanges.removals.push(text);
+                    });
+                }
+            });
+
+            const announcements = [];
+            changes.forEach((regionChanges, region) => {
+                if (this.isBusy(region)) {
+                    this.deferChanges(region, regionChanges);
+                    return;
+                }
+
+                const announcement = this.buildAnnouncement(region, regionChanges);
+                if (announcement) {
+                    announcements.push(announcement);
+                }
+            });
+
+            return announcements;
+        }
+
+        /**
+         * Get or create the change record for a region
+         */
+        getChanges(changes, region) {
+            if (!changes.has(region)) {
+                changes.set(region, { additions: [], removals: [], atomicRoots: new Set(), wasBusy: false });
+            }
+            return changes.get(region);
+        }
+
+        /**
+         * Record added content, honouring aria-atomic between the node and its region
+         */
+        recordAddition(regionChanges, node, region) {
+            const atomicRoot = this.findAtomicRoot(node, region);
+            if (atomicRoot) {
+                regionChanges.atomicRoots.add(atomicRoot);
+                return;
+            }
+
+            const text = this.nameCalculator.computeTextContent(node);
+            if (text) {
+                regionChanges.additions.push(text);
+            }
+        }
+
+        /**
+         * Keep changes for a busy region until aria-busy is cleared
+         */
+        deferChanges(region, regionChanges) {
+            const pending = this.busyRegions.get(region);
+            if (!pending) {
+                this.busyRegions.set(region, regionChanges);
+                return;
+            }
+
+            pending.additions.push(...regionChanges.additions);
+            pending.removals.push(...regionChanges.removals);
+            regionChanges.atomicRoots.forEach(root => pending.atomicRoots.add(root));
+        }
+
+        /**
+         * Move deferred changes for regions at or inside a no-longer-busy element back into the batch
+         */
+        releaseBusyRegions(element, changes) {
+            this.busyRegions.forEach((pending, region) => {
+                if (FlatTree.contains(element, region)) {
+                    this.busyRegions.delete(region);
+                    pending.wasBusy = true;
+                    changes.set(region, pending);
+                }
+            });
+        }
+
+        /**
+         * Compose the text a screen reader would speak for a region's changes
+         */
+        buildAnnouncement(region, regionChanges) {
+            const settings = this.getRegionSettings(region);
+            if (settings.politeness === 'off' || this.nameCalculator.isHidden(region)) {
+                return null;
+            }
+
+            const parts = [];
+            regionChanges.atomicRoots.forEach((root) => {
+                if (root.isConnected) {
+                    parts.push(this.nameCalculator.computeTextContent(root));
+                }
+            });
+            parts.push(...regionChanges.additions);
+
+            if (regionChanges.removals.length > 0) {
+                parts.push(`removed ${regionChanges.removals.join(' ')}`);
+            }
+
+            const text = this.nameCalculator.normalize(parts.filter(Boolean).join(' '));
+            if (!text) return null;
+
+            return {
+                region: region,
+                politeness: settings.politeness,
+                announcement: text,
+                addedContent: this.nameCalculator.normalize(regionChanges.additions.join(' ')),
+                removedContent: this.nameCalculator.normalize(regionChanges.removals.join(' ')),
+                atomic: regionChanges.atomicRoots.size > 0,
+                relevant: this.getRelevant(region, region),
+                regionRole: this.nameCalculator.getRole(region),
+                wasBusy: regionChanges.wasBusy
+            };
+        }
+
+        /**
+         * Find the nearest live region containing a node
+         */
+        findLiveRegion(node) {
+            for (let current = node; current && this.isElement(current); current = FlatTree.getParent(current)) {
+                if (this.isLiveRegion(current)) {
+                    return current;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Check for aria-live, live region roles or an output element
+         */
+        isLiveRegion(element) {
+            if (element.hasAttribute('aria-live')) return true;
+            if (element.tagName.toLowerCase() === 'output') return true;
+
+            const role = this.nameCalculator.getRole(element);
+            return Object.prototype.hasOwnProperty.call(this.liveRoles, role);
+        }
+
+        /**
+         * Resolve politeness for a region from aria-live or its role
+         */
+        getRegionSettings(region) {
+            const role = this.nameCalculator.getRole(region);
+            const defaults = this.liveRoles[role] || { politeness: 'off', atomic: false };
+            const live = region.getAttribute('aria-live');
+
+            return {
+                politeness: ['polite', 'assertive', 'off'].includes(live) ? live : defaults.politeness,
+                atomic: defaults.atomic
+            };
+        }
+
+        /**
+         * Find the element whose whole content must be announced (aria-atomic)
+         */
+        findAtomicRoot(node, region) {
+            let current = this.isElement(node) ? node : FlatTree.getParent(node);
+
+            while (current) {
+                const atomic = current.getAttribute('aria-atomic');
+                if (atomic === 'true') return current;
+                if (atomic === 'false') return null;
+                if (current === region) break;
+                current = FlatTree.getParent(current);
+            }
+
+            return this.getRegionSettings(region).atomic ? region : null;
+        }
+
+        /**
+         * Resolve aria-relevant tokens for a node inside a region
+         */
+        getRelevant(node, region) {
+            for (let current = node; current && this.isElement(current); current = FlatTree.getParent(current)) {
+                const relevant = current.getAttribute('aria-relevant');
+                if (relevant) {
+                    const tokens = relevant.trim().split(/\s+/);
+                    return tokens.includes('all') ? ['additions', 'removals', 'text'] : tokens;
+                }
+                if (current === region) break;
+            }
+            return ['additions', 'text'];
+        }
+
+        /**
+         * Check aria-busy on the region and its ancestors
+         */
+        isBusy(region) {
+            return !!FlatTree.closest(region, '[aria-busy="true"]');
+        }
+
+        isElement(node) {
+            return !!node && node.nodeType === Node.ELEMENT_NODE;
+        }
+    }
+
+    /**
+     * Speech Composer
+     * Builds the utterance a screen reader speaks for an element: name, role, states, value, position, description
+     */
+    class SpeechComposer {
+        constructor(nameCalculator) {
+            this.nameCalculator = nameCalculator;
+
+            // Spoken role names, following NVDA wording
+            this.roleNames = {
+                link: 'link',
+                button: 'button',
+                textbox: 'edit',
+                searchbox: 'edit',
+                combobox: 'combo box',
+                listbox: 'list box',
+                checkbox: 'check box',
+                radio: 'radio button',
+                switch: 'toggle button',
+                slider: 'slider',
+                spinbutton: 'spin button',
+                list: 'list',
+                listitem: 'list item',
+                table: 'table',
+                grid: 'grid',
+                treegrid: 'tree grid',
+                img: 'graphic',
+                blockquote: 'block quote',
+                separator: 'separator',
+                banner: 'banner landmark',
+                complementary: 'complementary landmark',
+                contentinfo: 'content info landmark',
+                form: 'form landmark',
+                main: 'main landmark',
+                navigation: 'navigation landmark',
+                region: 'region',
+                search: 'search landmark',
+                tab: 'tab',
+                tablist: 'tab control',
+                tabpanel: 'property page',
+                option: 'option',
+                menu: 'menu',
+                menubar: 'menu bar',
+                menuitem: 'menu item',
+                menuitemcheckbox: 'check menu item',
+                menuitemradio: 'radio menu item',
+                tree: 'tree view',
+                treeitem: 'tree view item',
+                dialog: 'dialog',
+                alertdialog: 'alert dialog',
+                progressbar: 'progress bar',
+                meter: 'meter',
+                scrollbar: 'scroll bar',
+                row: 'row',
+                cell: 'cell',
+                gridcell: 'cell',
+                columnheader: 'column header',
+                rowheader: 'row header',
+                article: 'article',
+                figure: 'figure',
+                group: 'grouping',
+                radiogroup: 'grouping',
+                toolbar: 'tool bar',
+                tooltip: 'tool tip',
+                alert: 'alert'
+            };
+
+            // Roles whose position is announced as "N of M" among siblings
+            this.setRoles = ['listitem', 'option', 'tab', 'treeitem', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'radio'];
+        }
+
+        /**
+         * Compose the spoken output for a focused element
+         */
+        compose(element) {
+            if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
+
+            const role = this.nameCalculator.getRole(element);
+            const { name, source } = this.nameCalculator.computeName(element);
+            const value = this.getValue(element, role);
+            const description = this.nameCalculator.computeDescription(element, source);
+
+            const parts = [
+                name,
+                this.getRoleText(element, role),
+                ...this.getStates(element, role),
+                // Name from content already includes the text, so the value is not repeated
+                value !== name ? value : null,
+                this.getPositionInSet(element, role),
+                description
+            ];
+
+            return parts.filter(part => part !== null && part !== undefined && part !== '').join(', ');
+        }
+
+        /**
+         * Spoken role name, including heading level, list size and toggle buttons
+         */
+        getRoleText(element, role) {
+            if (role === 'heading') {
+                return `heading level ${this.nameCalculator.getHeadingLevel(element)}`;
+            }
+
+            if (role === 'list') {
+                const count = element.querySelectorAll(':scope > li, :scope > [role="listitem"]').length;
+                return `list with ${count} item${count !== 1 ? 's' : ''}`;
+            }
+
+            if (role === 'button' && element.hasAttribute('aria-pressed')) {
+                return 'toggle button';
+            }
+
+            return this.roleNames[role] || role || '';
+        }
+
+        /**
+         * Ordered list of spoken states
+         */
+        getStates(element, role) {
+            const states = [];
+            const aria = (name) => element.getAttribute(name);
+
+            // Checked state, from ARIA or native check boxes and radio buttons
+            const checkableRoles = ['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'];
+            if (checkableRoles.includes(role)) {
+                const checked = aria('aria-checked') !== null
+                    ? aria('aria-checked')
+                    : String(element.indeterminate ? 'mixed' : !!element.checked);
+                states.push(checked === 'true' ? 'checked' : checked === 'mixed' ? 'half checked' : 'not checked');
+            }
+
+            if (aria('aria-pressed') === 'true') states.push('pressed');
+            if (aria('aria-pressed') === 'mixed') states.push('half pressed');
+            if (aria('aria-pressed') === 'false') states.push('not pressed');
+
+            const expanded = aria('aria-expanded') !== null
+                ? aria('aria-expanded')
+                : (element.tagName.toLowerCase() === 'summary' ? String(!!element.parentElement?.open) : null);
+            if (expanded === 'true') states.push('expanded');
+            if (expanded === 'false') states.push('collapsed');
+
+            if (aria('aria-selected') === 'true' || (role === 'option' && element.selected)) {
+                states.push('selected');
+            }
+
+            const current = aria('aria-current');
+            if (current && current !== 'false') {
+                states.push(current === 'true' ? 'current' : `current ${current}`);
+            }
+
+            if (element.disabled || aria('aria-disabled') === 'true') states.push('unavailable');
+            if (element.required || aria('aria-required') === 'true') states.push('required');
+
+            const invalid = aria('aria-invalid');
+            if (invalid === 'true') states.push('invalid entry');
+            if (invalid === 'grammar') states.push('grammar error');
+            if (invalid === 'spelling') states.push('spelling error');
+
+            if (element.readOnly || aria('aria-readonly') === 'true') states.push('read only');
+
+            const autocomplete = aria('aria-autocomplete');
+            if ((autocomplete && autocomplete !== 'none') || element.hasAttribute('list')) {
+                states.push('has autocomplete');
+            }
+
+            const hasPopup = aria('aria-haspopup');
+            if (hasPopup && hasPopup !== 'false') {
+                states.push(hasPopup === 'dialog' ? 'opens dialog' : 'submenu');
+            }
+
+            if (aria('aria-multiselectable') === 'true' || (element.tagName.toLowerCase() === 'select' && element.multiple)) {
+                states.push('multi select');
+            }
+
+            if (aria('aria-busy') === 'true') states.push('busy');
+
+            return states;
+        }
+
+        /**
+         * Current value of form controls and range widgets
+         */
+        getValue(element, role) {
+            const tagName = element.tagName.toLowerCase();
+
+            if (role === 'textbox' || role === 'searchbox') {
+                if (element.type === 'password') return element.value ? 'protected' : 'blank';
+                const value = element.value !== undefined ? element.value : element.textContent;
+                return value ? value : 'blank';
+            }
+
+            if (role === 'combobox') {
+                if (tagName === 'select') {
+                    return element.selectedOptions[0]?.text || null;
+                }
+                return element.value || null;
+            }
+
+            if (['slider', 'spinbutton', 'progressbar', 'scrollbar', 'meter'].includes(role)) {
+                return element.getAttribute('aria-valuetext') ||
+                       element.getAttribute('aria-valuenow') ||
+                       (element.value !== undefined && element.value !== '' ? String(element.value) : null);
+            }
+
+            return null;
+        }
+
+        /**
+         * Position in set ("2 of 5"), from ARIA or by counting siblings
+         */
+        getPositionInSet(element, role) {
+            const posInSet = parseInt(element.getAttribute('aria-posinset'), 10);
+            const setSize = parseInt(element.getAttribute('aria-setsize'), 10);
+            if (posInSet > 0 && setSize > 0) {
+                return `${posInSet} of ${setSize}`;
+            }
+
+            if (!this.setRoles.includes(role)) return null;
+
+            let siblings;
+            if (role === 'radio' && element.name) {
+                const scope = element.form || element.getRootNode();
+                siblings = Array.from(scope.querySelectorAll('input[type="radio"]'))
+                    .filter(radio => radio.name === element.name);
+            } else if (element.parentElement) {
+                siblings = Array.from(element.parentElement.children)
+                    .filter(sibling => this.nameCalculator.getRole(sibling) === role);
+            } else {
+                return null;
+            }
+
+            siblings = siblings.filter(sibling => !this.nameCalculator.isHidden(sibling, false));
+            const position = siblings.indexOf(element) + 1;
+            return position > 0 && siblings.length > 1 ? `${position} of ${siblings.length}` : null;
+        }
+
+        /**
+         * Describe a change on the focused element the way a screen reader announces it
+         */
+        describeStateChange(element, attribute, value) {
+            const stateWords = {
+                'aria-expanded': { true: 'expanded', false: 'collapsed' },
+                'aria-checked': { true: 'checked', false: 'not checked', mixed: 'half checked' },
+                'aria-pressed': { true: 'pressed', false: 'not pressed', mixed: 'half pressed' },
+                'aria-selected': { true: 'selected', false: 'not selected' },
+                'aria-disabled': { true: 'unavailable', false: 'available' },
+                'disabled': { true: 'unavailable', null: 'available' },
+                'aria-invalid': { true: 'invalid entry', grammar: 'grammar error', spelling: 'spelling error' },
+                'aria-busy': { true: 'busy' }
+            };
+
+            if (stateWords[attribute]) {
+                return stateWords[attribute][String(value)] || null;
+            }
+
+            if (attribute === 'aria-current') {
+                return value && value !== 'false' ? `current ${value === 'true' ? '' : value}`.trim() : null;
+            }
+
+            if (attribute === 'aria-valuenow' || attribute === 'aria-valuetext') {
+                return element.getAttribute('aria-valuetext') || value;
+            }
+
+            // Name changes on the focused element are read out again
+            if (['aria-label', 'aria-labelledby'].includes(attribute)) {
+                return this.nameCalculator.computeName(element).name || null;
+            }
+
+            return null;
+        }
+
+    }
+
+    /**
+     * Virtual Cursor
+     * Browse-mode cursor with NVDA single-letter quick navigation
+     */
+    class VirtualCursor {
+        constructor(nameCalculator, textReader, speechComposer) {
+            this.nameCalculator = nameCalculator;
+            this.textReader = textReader;
+            this.speechComposer = speechComposer;
+            this.currentElement = null;
+
+            // Elements collected by the last Elements List request, indexed by item id
+            this.listedElements = [];
+
+            const landmarkRoles = ['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search'];
+            const formFieldRoles = [
+                'button', 'checkbox', 'combobox', 'listbox', 'radio', 'searchbox', 'slider',
+                'spinbutton', 'switch', 'textbox', 'menuitemcheckbox', 'menuitemradio'
+            ];
+            this.landmarkRoles = landmarkRoles;
+            this.formFieldRoles = formFieldRoles;
+
+            // NVDA quick navigation keys, keyed by KeyboardEvent.code
+            this.quickNavKeys = {
+                KeyH: { name: 'heading', matches: role => role === 'heading' },
+                KeyK: { name: 'link', matches: role => role === 'link' },
+                KeyF: { name: 'form field', matches: role => formFieldRoles.includes(role) },
+                KeyL: { name: 'list', matches: role => role === 'list' },
+                KeyI: { name: 'list item', matches: role => role === 'listitem' },
+                KeyT: { name: 'table', matches: role => ['table', 'grid', 'treegrid'].includes(role) },
+                KeyD: { name: 'landmark', matches: role => landmarkRoles.includes(role) },
+                KeyB: { name: 'button', matches: role => role === 'button' },
+                KeyE: { name: 'edit field', matches: role => ['textbox', 'searchbox'].includes(role) },
+                KeyG: { name: 'graphic', matches: role => role === 'img' },
+                KeyQ: { name: 'block quote', matches: role => role === 'blockquote' },
+                KeyX: { name: 'check box', matches: role => role === 'checkbox' },
+                KeyC: { name: 'combo box', matches: role => role === 'combobox' },
+                KeyR: { name: 'radio button', matches: role => role === 'radio' },
+                KeyS: { name: 'separator', matches: role => role === 'separator' }
+            };
+
+            for (let level = 1; level <= 6; level++) {
+                this.quickNavKeys[`Digit${level}`] = {
+                    name: `heading at level ${level}`,
+                    matches: (role, element) => role === 'heading' && this.nameCalculator.getHeadingLevel(element) === level
+                };
+            }
+        }
+
+        /**
+         * Check whether a keydown is a quick navigation command
+         */
+        isQuickNavKey(e) {
+            return !e.ctrlKey && !e.altKey && !e.metaKey &&
+                   Object.prototype.hasOwnProperty.call(this.quickNavKeys, e.code);
+        }
+
+        /**
+         * Jump to the next or previous element for a quick navigation key
+         */
+        quickNavigate(code, backwards) {
+            const command = this.quickNavKeys[code];
+            const start = this.getStartElement();
+            const candidates = this.findElements((element, role) => command.matches(role, element));
+
+            const target = backwards
+                ? candidates.reverse().find(element => this.isBefore(element, start))
+                : candidates.find(element => this.isAfter(element, start));
+
+            if (!target) {
+                return {
+                    found: false,
+                    element: null,
+                    category: command.name,
+                    announcement: `no ${backwards ? 'previous' : 'next'} ${command.name}`
+                };
+            }
+
+            this.moveTo(target);
+
+            return {
+                found: true,
+                element: target,
+                category: command.name,
+                announcement: this.describe(target)
+            };
+        }
+
+        /**
+         * Move the virtual cursor to an element, focusing it when possible
+         */
+        moveTo(element) {
+            this.currentElement = element;
+            this.textReader.findLineFromElement(element);
+
+            if (element.tabIndex >= 0 || element.matches('a[href], button, input, select, textarea')) {
+                element.focus({ preventScroll: true });
+            }
+            element.scrollIntoView({ block: 'nearest' });
+        }
+
+        /**
+         * Collect visible elements in document order that match a predicate
+         */
+        findElements(predicate) {
+            const matches = [];
+            if (!document.body) return matches;
+
+            FlatTree.walk(document.body, (element) => {
+                if (element.nodeType !== Node.ELEMENT_NODE) return false;
+
+                if (predicate(element, this.nameCalculator.getRole(element)) &&
+                    !this.nameCalculator.isHidden(element)) {
+                    matches.push(element);
+                }
+            });
+
+            return matches;
+        }
+
+        /**
+         * Describe an element the way NVDA announces a quick navigation jump
+         */
+        describe(element) {
+            const role = this.nameCalculator.getRole(element);
+            const name = this.nameCalculator.computeName(element).name;
+
+            const roleText = this.speechComposer.getRoleText(element, role) || element.tagName.toLowerCase();
+
+            return name ? `${roleText}, ${name}` : roleText;
+        }
+
+        /**
+         * Build the Elements List inventory (headings tree, links, landmarks, form fields, buttons)
+         */
+        collectElementsList() {
+            const list = { headings: [], links: [], landmarks: [], formFields: [], buttons: [] };
+            const headingStack = [];
+            this.listedElements = [];
+
+            if (!document.body) return list;
+
+            FlatTree.walk(document.body, (element) => {
+                if (element.nodeType !== Node.ELEMENT_NODE) return false;
+
+                // Skip hidden subtrees entirely, as the text walker does
+                if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+                    return false;
+                }
+                if (['script', 'style', 'noscript', 'template'].includes(element.tagName.toLowerCase())) {
+                    return false;
+                }
+                if (FlatTree.getComputedStyle(element).display === 'none') {
+                    return false;
+                }
+
+                this.addToElementsList(list, headingStack, element);
+            });
+
+            return list;
+        }
+
+        /**
+         * Add an element to its Elements List category, nesting headings by level
+         */
+        addToElementsList(list, headingStack, element) {
+            const role = this.nameCalculator.getRole(element);
+            const category = this.getListCategory(role);
+            if (!category) return;
+
+            const item = {
+                id: this.listedElements.push(element) - 1,
+                name: this.nameCalculator.computeName(element).name,
+                role: role,
+                roleText: this.speechComposer.getRoleText(element, role)
+            };
+
+            if (category !== 'headings') {
+                list[category].push(item);
+                return;
+            }
+
+            // Nest headings under the closest preceding heading of a higher level
+            item.level = this.nameCalculator.getHeadingLevel(element);
+            item.children = [];
+            while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= item.level) {
+                headingStack.pop();
+            }
+
+            const parent = headingStack[headingStack.length - 1];
+            (parent ? parent.children : list.headings).push(item);
+            headingStack.push(item);
+        }
+
+        /**
+         * Elements List category for a role
+         */
+        getListCategory(role) {
+            if (role === 'heading') return 'headings';
+            if (role === 'link') return 'links';
+            if (role === 'button') return 'buttons';
+            if (this.landmarkRoles.includes(role)) return 'landmarks';
+            if (this.formFieldRoles.includes(role)) return 'formFields';
+            return null;
+        }
+
+        /**
+         * Move to an element chosen in the Elements List
+         */
+        moveToListedElement(id) {
+            const element = this.listedElements[id];
+            if (!element || !element.isConnected) return null;
+
+            this.moveTo(element);
+            return this.describe(element);
+        }
+
+        /**
+         * Element the next jump is measured from
+         */
+        getStartElement() {
+            if (this.currentElement && this.currentElement.isConnected) {
+                return this.currentElement;
+            }
+
+            const line = this.textReader.textLines[this.textReader.currentLineIndex];
+            if (line && line.element.isConnected) {
+                return line.element;
+            }
+
+            const activeElement = FlatTree.getDeepActiveElement();
+            return activeElement && activeElement !== activeElement.ownerDocument.body ? activeElement : null;
+        }
+
+        isAfter(element, reference) {
+            if (!reference) return true;
+            if (FlatTree.contains(element, reference)) return false;
+            return FlatTree.compareOrder(reference, element) < 0;
+        }
+
+        isBefore(element, reference) {
+            if (!reference) return false;
+            if (FlatTree.contains(element, reference)) return false;
+            return FlatTree.compareOrder(reference, element) > 0;
+        }
+    }
+
+    /**
+     * Mode State Machine
+     * Follows NVDA's switching between browse mode and focus mode
+     */
+    class ModeStateMachine {
+        constructor(nameCalculator) {
+            this.nameCalculator = nameCalculator;
+            this.mode = 'browse';
+            this.manualElement = null; // Set after Insert+Space until focus moves elsewhere
+
+            // Roles NVDA hands keys to when they receive focus
+            this.passThroughRoles = [
+                'columnheader', 'combobox', 'grid', 'gridcell', 'listbox', 'listitem', 'menu', 'menubar',
+                'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader',
+                'searchbox', 'slider', 'spinbutton', 'tab', 'tablist', 'textbox', 'tree', 'treegrid', 'treeitem'
+            ];
+        }
+
+        /**
+         * Apply automatic switching for a focus change, returning the transition or null
+         */
+        handleFocus(element) {
+            if (this.manualElement) {
+                // A manual toggle holds until focus moves to another element
+                if (element === this.manualElement) return null;
+                this.manualElement = null;
+            }
+
+            return this.setMode(this.shouldPassThrough(element) ? 'focus' : 'browse', 'focus');
+        }
+
+        /**
+         * Insert+Space flips the mode and suspends automatic switching on this element
+         */
+        toggle(element) {
+            this.manualElement = element;
+            return this.setMode(this.mode === 'browse' ? 'focus' : 'browse', 'manual');
+        }
+
+        /**
+         * Escape leaves focus mode
+         */
+        handleEscape(element) {
+            if (this.mode !== 'focus') return null;
+
+            this.manualElement = element;
+            return this.setMode('browse', 'escape');
+        }
+
+        /**
+         * Switch mode, returning { mode, previousMode, trigger } or null when nothing changed
+         */
+        setMode(mode, trigger) {
+            if (mode === this.mode) return null;
+
+            const previousMode = this.mode;
+            this.mode = mode;
+            return { mode: mode, previousMode: previousMode, trigger: trigger };
+        }
+
+        /**
+         * Check if NVDA would switch to focus mode when this element gains focus
+         */
+        shouldPassThrough(element) {
+            if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+
+            // Editable text always takes the keys unless it is read-only
+            if (element.isContentEditable) return true;
+            const tagName = element.tagName.toLowerCase();
+            if ((tagName === 'input' || tagName === 'textarea') && element.readOnly) return false;
+
+            const role = this.nameCalculator.getRole(element);
+            if (this.passThroughRoles.includes(role)) return true;
+
+            // Everything inside an application takes its own keys
+            return !!FlatTree.closest(element, '[role="application"]');
+        }
+
+        /**
+         * Return to browse mode, for example after navigation
+         */
+        reset() {
+            this.mode = 'browse';
+            this.manualElement = null;
+        }
+    }
+
+    /**
+     * Table Navigator
+     * NVDA table navigation: moves cell by cell and reports headers from th, scope, headers and ARIA roles
+     */
+    class TableNavigator {
+        constructor(nameCalculator, virtualCursor) {
+            this.nameCalculator = nameCalculator;
+            this.virtualCursor = virtualCursor;
+            this.lastTable = null;
+            this.checkedTables = new WeakSet();
+
+            this.tableRoles = ['table', 'grid', 'treegrid'];
+            this.cellRoles = ['cell', 'gridcell', 'columnheader', 'rowheader'];
+            this.directions = {
+                ArrowUp: { rows: -1, columns: 0 },
+                ArrowDown: { rows: 1, columns: 0 },
+                ArrowLeft: { rows: 0, columns: -1 },
+                ArrowRight: { rows: 0, columns: 1 }
+            };
+        }
+
+        /**
+         * Check whether a keydown is Ctrl+Alt+Arrow
+         */
+        isTableNavKey(e) {
+            return e.ctrlKey && e.altKey && !e.metaKey &&
+                   Object.prototype.hasOwnProperty.call(this.directions, e.key);
+        }
+
+        /**
+         * Move one cell in the arrow's direction from the virtual cursor and describe the new cell
+         */
+        move(key) {
+            const start = this.virtualCursor.getStartElement();
+            const table = this.getTable(start);
+            if (!table) {
+                return { found: false, element: null, announcement: 'not in a table' };
+            }
+
+            const model = this.buildModel(table);
+            const from = this.findCell(model, start);
+            let to = model.cells[0];
+
+            // From the table itself the first move lands on its first cell
+            if (from) {
+                // Moving out of a spanned cell continues from its first row or column
+                const direction = this.directions[key];
+                const row = from.row + (direction.rows > 0 ? from.rowSpan : direction.rows);
+                const column = from.column + (direction.columns > 0 ? from.colSpan : direction.columns);
+                to = model.grid[row] && model.grid[row][column];
+            }
+
+            if (!to) {
+                if (!from) {
+                    return { found: false, element: table, announcement: 'empty table' };
+                }
+                return { found: false, element: from.element, announcement: 'edge of table' };
+            }
+
+            this.virtualCursor.currentElement = to.element;
+            this.virtualCursor.textReader.findLineFromElement(to.element);
+
+            return {
+                found: true,
+                element: to.element,
+                row: to.row + 1,
+                column: to.column + 1,
+                rowCount: model.rowCount,
+                columnCount: model.columnCount,
+                ...this.describeCell(model, to, from)
+            };
+        }
+
+        /**
+         * Announce the headers that changed, the coordinates and the cell content
+         */
+        describeCell(model, cell, previous) {
+            const headers = this.getHeaders(model, cell);
+            const previousHeaders = previous ? this.getHeaders(model, previous) : { rowHeaders: [], columnHeaders: [] };
+            const rowChanged = !previous || previous.row !== cell.row;
+            const columnChanged = !previous || previous.column !== cell.column;
+            const parts = [];
+
+            if (rowChanged) {
+                if (headers.rowHeaders.join() !== previousHeaders.rowHeaders.join()) {
+                    parts.push(...headers.rowHeaders);
+                }
+                parts.push(`row ${cell.row + 1}`);
+            }
+            if (columnChanged) {
+                if (headers.columnHeaders.join() !== previousHeaders.columnHeaders.join()) {
+                    parts.push(...headers.columnHeaders);
+                }
+                parts.push(`column ${cell.column + 1}`);
+            }
+            if (cell.rowSpan > 1) parts.push(`spans ${cell.rowSpan} rows`);
+            if (cell.colSpan > 1) parts.push(`spans ${cell.colSpan} columns`);
+            parts.push(this.nameCalculator.computeTextContent(cell.element) || 'blank');
+
+            return {
+                rowHeaders: headers.rowHeaders,
+                columnHeaders: headers.columnHeaders,
+                announcement: parts.join(', ')
+            };
+        }
+
+        /**
+         * "table with N rows and M columns" when an element is in a different table than last time
+         */
+        describeEntry(element) {
+            const table = this.getTable(element);
+            if (table === this.lastTable) return null;
+
+            this.lastTable = table;
+            if (!table) return null;
+
+            const model = this.buildModel(table);
+            return {
+                table: table,
+                model: model,
+                announcement: `table with ${model.rowCount} row${model.rowCount !== 1 ? 's' : ''} ` +
+                              `and ${model.columnCount} column${model.columnCount !== 1 ? 's' : ''}`
+            };
+        }
+
+        /**
+         * Header problems in a table, reported once per table
+         */
+        checkHeaders(model) {
+            if (this.checkedTables.has(model.table)) return [];
+            this.checkedTables.add(model.table);
+
+            const issues = [];
+
+            const brokenReferences = model.cells.filter(cell => this.getHeaderReferences(cell).missing.length > 0);
+            if (brokenReferences.length > 0) {
+                issues.push({
+                    ruleId: 'table-headers-invalid',
+                    wcag: '1.3.1',
+                    element: brokenReferences[0].element,
+                    message: `${brokenReferences.length} cell${brokenReferences.length !== 1 ? 's' : ''} ` +
+                             'reference missing header ids in their headers attribute'
+                });
+            }
+
+            // Single rows and columns read fine without headers
+            const dataCells = model.cells.filter(cell => !cell.headerKind);
+            if (model.rowCount < 2 || model.columnCount < 2 || dataCells.length === 0) return issues;
+
+            const headerCells = model.cells.filter(cell => cell.headerKind);
+            if (headerCells.length === 0) {
+                issues.push({
+                    ruleId: 'table-headers-missing',
+                    wcag: '1.3.1',
+                    element: model.table,
+                    message: `Table with ${model.rowCount} rows and ${model.columnCount} columns has no header cells`
+                });
+                return issues;
+            }
+
+            const unlabelled = dataCells.filter(cell => {
+                const headers = this.getHeaderElements(model, cell);
+                return headers.rowHeaders.length === 0 && headers.columnHeaders.length === 0;
+            });
+            if (unlabelled.length > 0) {
+                issues.push({
+                    ruleId: 'table-headers-missing',
+                    wcag: '1.3.1',
+                    element: unlabelled[0].element,
+                    message: `${unlabelled.length} data cell${unlabelled.length !== 1 ? 's have' : ' has'} no row or column header`
+                });
+            }
+
+            // Spanning cells leave screen readers guessing which headers go with them
+            const spanning = model.cells.filter(cell => cell.rowSpan > 1 || cell.colSpan > 1);
+            const mergedData = spanning.filter(cell => !cell.headerKind && !cell.element.hasAttribute('headers'));
+            const mergedHeaders = spanning.filter(cell => cell.headerKind && !this.hasGroupScope(cell.element));
+            if (mergedData.length > 0 || mergedHeaders.length > 0) {
+                const problems = [];
+                if (mergedData.length > 0) {
+                    problems.push(`${mergedData.length} merged data cell${mergedData.length !== 1 ? 's' : ''} without a headers attribute`);
+                }
+                if (mergedHeaders.length > 0) {
+                    problems.push(`${mergedHeaders.length} merged header${mergedHeaders.length !== 1 ? 's' : ''} without scope="colgroup" or "rowgroup"`);
+                }
+
+                issues.push({
+                    ruleId: 'table-merged-cells',
+                    wcag: '1.3.1',
+                    element: (mergedData[0] || mergedHeaders[0]).element,
+                    message: `${problems.join(' and ')}; screen readers may pair them with the wrong headers`
+                });
+            }
+
+            return issues;
+        }
+
+        /**
+         * Row and column header texts for a cell
+         */
+        getHeaders(model, cell) {
+            const headers = this.getHeaderElements(model, cell);
+            const texts = (elements) => elements
+                .map(element => this.nameCalculator.computeTextContent(element))
+                .filter(Boolean);
+
+            return { rowHeaders: texts(headers.rowHeaders), columnHeaders: texts(headers.columnHeaders) };
+        }
+
+        /**
+         * Row and column header elements for a cell; an explicit headers attribute wins
+         */
+        getHeaderElements(model, cell) {
+            const references = this.getHeaderReferences(cell);
+            if (references.found.length > 0) {
+                const ofKind = (kind) => references.found.filter(header => {
+                    const headerCell = model.cellsByElement.get(header);
+                    return ((headerCell && headerCell.headerKind) || 'column') === kind;
+                });
+                return { rowHeaders: ofKind('row'), columnHeaders: ofKind('column') };
+            }
+
+            const columnHeaders = [];
+            const rowHeaders = [];
+
+            for (let row = 0; row < cell.row; row++) {
+                const header = model.grid[row][cell.column];
+                if (header && header !== cell && header.headerKind === 'column' && !columnHeaders.includes(header.element)) {
+                    columnHeaders.push(header.element);
+                }
+            }
+            for (let column = 0; column < cell.column; column++) {
+                const header = model.grid[cell.row][column];
+                if (header && header !== cell && header.headerKind === 'row' && !rowHeaders.includes(header.element)) {
+                    rowHeaders.push(header.element);
+                }
+            }
+
+            return { rowHeaders: rowHeaders, columnHeaders: columnHeaders };
+        }
+
+        /**
+         * Check if a spanning th declares the group of rows or columns it heads
+         */
+        hasGroupScope(element) {
+            if (element.tagName.toLowerCase() !== 'th') return true;
+            return ['colgroup', 'rowgroup'].includes((element.getAttribute('scope') || '').toLowerCase());
+        }
+
+        /**
+         * Elements named by a cell's headers attribute, and the ids that match nothing
+         */
+        getHeaderReferences(cell) {
+            const root = cell.element.getRootNode();
+            const ids = (cell.element.getAttribute('headers') || '').trim().split(/\s+/).filter(Boolean);
+            const found = [];
+            const missing = [];
+
+            ids.forEach(id => {
+                const header = root.getElementById(id);
+                if (header) {
+                    found.push(header);
+                } else {
+                    missing.push(id);
+                }
+            });
+
+            return { found: found, missing: missing };
+        }
+
+        /**
+         * Nearest table, grid or treegrid containing an element
+         */
+        getTable(element) {
+            for (let current = element; current; current = FlatTree.getParent(current)) {
+                if (current.nodeType === Node.ELEMENT_NODE && this.tableRoles.includes(this.nameCalculator.getRole(current))) {
+                    return current;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Cell the given element is in, if it belongs to this table
+         */
+        findCell(model, element) {
+            for (let current = element; current && current !== model.table; current = FlatTree.getParent(current)) {
+                const cell = model.cellsByElement.get(current);
+                if (cell) return cell;
+            }
+            return null;
+        }
+
+        /**
+         * Lay out rows and cells on a grid, following row and column spans
+         */
+        buildModel(table) {
+            const grid = [];
+            const cells = [];
+            const rows = this.getOwnedElements(table, ['row']);
+
+            rows.forEach((rowElement, rowIndex) => {
+                grid[rowIndex] = grid[rowIndex] || [];
+                let column = 0;
+
+                this.getOwnedElements(rowElement, this.cellRoles).forEach(element => {
+                    while (grid[rowIndex][column]) column++;
+
+                    const cell = {
+                        element: element,
+                        row: rowIndex,
+                        column: column,
+                        rowSpan: Math.min(this.getSpan(element, 'rowspan'), rows.length - rowIndex),
+                        colSpan: this.getSpan(element, 'colspan'),
+                        headerKind: null
+                    };
+
+                    for (let row = rowIndex; row < rowIndex + cell.rowSpan; row++) {
+                        grid[row] = grid[row] || [];
+                        for (let spanned = column; spanned < column + cell.colSpan; spanned++) {
+                            grid[row][spanned] = cell;
+                        }
+                    }
+
+                    cells.push(cell);
+                    column += cell.colSpan;
+                });
+            });
+
+            cells.forEach(cell => {
+                cell.headerKind = this.classifyHeader(cell, grid[cell.row]);
+            });
+
+            return {
+                table: table,
+                grid: grid,
+                cells: cells,
+                cellsByElement: new Map(cells.map(cell => [cell.element, cell])),
+                rowCount: rows.length,
+                columnCount: grid.reduce((widest, row) => Math.max(widest, row.length), 0)
+            };
+        }
+
+        /**
+         * 'column', 'row' or null; th without scope heads its row when the row also has data cells
+         */
+        classifyHeader(cell, rowCells) {
+            const element = cell.element;
+            const role = this.nameCalculator.getRole(element);
+
+            if (element.tagName.toLowerCase() === 'th' && !element.hasAttribute('role')) {
+                const scope = (element.getAttribute('scope') || '').toLowerCase();
+                if (scope === 'col' || scope === 'colgroup') return 'column';
+                if (scope === 'row' || scope === 'rowgroup') return 'row';
+
+                const hasDataCells = rowCells.some(other => other && !this.isHeaderElement(other.element));
+                return hasDataCells ? 'row' : 'column';
+            }
+
+            if (role === 'columnheader') return 'column';
+            if (role === 'rowheader') return 'row';
+            return null;
+        }
+
+        /**
+         * Check if an element is a th or an ARIA header cell
+         */
+        isHeaderElement(element) {
+            return ['columnheader', 'rowheader'].includes(this.nameCalculator.getRole(element));
+        }
+
+        /**
+         * Elements with one of the given roles owned by a container, skipping nested tables
+         */
+        getOwnedElements(container, roles) {
+            const owned = [];
+
+            FlatTree.walk(container, (node) => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return false;
+
+                const role = this.nameCalculator.getRole(node);
+                if (roles.includes(role)) {
+                    owned.push(node);
+                    return false;
+                }
+                if (this.tableRoles.includes(role)) return false;
+            });
+
+            return owned;
+        }
+
+        /**
+         * Row or column span from the HTML attribute or its ARIA equivalent
+         */
+        getSpan(element, attribute) {
+            const value = parseInt(element.getAttribute(attribute) || element.getAttribute(`aria-${attribute}`), 10);
+            return value > 0 ? value : 1;
+        }
+
+        /**
+         * Forget the current table, for example after navigation
+         */
+        reset() {
+            this.lastTable = null;
+        }
+    }
+
+    /**
+     * Rule Engine
+     * Checks an element against ARIA and HTML rules, returning failures with a rule ID and WCAG reference
+     */
+    class RuleEngine {
+        constructor(nameCalculator) {
+            this.nameCalculator = nameCalculator;
+
+            this.abstractRoles = [
+                'command', 'composite', 'input', 'landmark', 'range', 'roletype', 'section',
+                'sectionhead', 'select', 'structure', 'widget', 'window'
+            ];
+
+            // Concrete WAI-ARIA 1.2 roles, plus the DPUB and Graphics roles in common use
+            this.validRoles = [
+                'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+                'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+                'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure',
+                'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+                'listbox', 'listitem', 'log', 'main', 'mark', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+                'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option',
+                'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+                'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+                'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table',
+                'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree',
+                'treegrid', 'treeitem', 'graphics-document', 'graphics-object', 'graphics-symbol'
+            ];
+
+            // Roles that are not understood without an accessible name
+            this.nameRequiredRoles = [
+                'alertdialog', 'button', 'checkbox', 'combobox', 'dialog', 'grid', 'img', 'link', 'listbox',
+                'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'option', 'progressbar', 'radio',
+                'radiogroup', 'scrollbar', 'searchbox', 'slider', 'spinbutton', 'switch', 'tab', 'textbox',
+                'tree', 'treegrid', 'treeitem'
+            ];
+
+            // Roles that must own at least one element with one of these roles
+            this.requiredChildren = {
+                feed: ['article'],
+                grid: ['row', 'rowgroup'],
+                list: ['listitem'],
+                listbox: ['option', 'group'],
+                menu: ['menuitem', 'menuitemcheckbox', 'menuitemradio', 'group'],
+                menubar: ['menuitem', 'menuitemcheckbox', 'menuitemradio', 'group'],
+                radiogroup: ['radio'],
+                row: ['cell', 'columnheader', 'gridcell', 'rowheader'],
+                rowgroup: ['row'],
+                table: ['row', 'rowgroup'],
+                tablist: ['tab'],
+                tree: ['treeitem', 'group'],
+                treegrid: ['row', 'rowgroup']
+            };
+
+            // Roles that only make sense inside one of these roles
+            this.requiredParents = {
+                cell: ['row'],
+                columnheader: ['row'],
+                gridcell: ['row'],
+                listitem: ['list', 'group'],
+                menuitem: ['menu', 'menubar', 'group'],
+                menuitemcheckbox: ['menu', 'menubar', 'group'],
+                menuitemradio: ['menu', 'menubar', 'group'],
+                option: ['listbox', 'group'],
+                row: ['grid', 'rowgroup', 'table', 'treegrid'],
+                rowgroup: ['grid', 'table', 'treegrid'],
+                rowheader: ['row'],
+                tab: ['tablist'],
+                treeitem: ['tree', 'group']
+            };
+
+            // Controls that must not contain, or sit inside, another interactive element
+            this.interactiveRoles = [
+                'button', 'checkbox', 'combobox', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+                'option', 'radio', 'searchbox', 'slider', 'spinbutton', 'switch', 'tab', 'textbox'
+            ];
+
+            // Items that belong to their composite widget, such as a select's options, rather than nesting in it
+            this.ownedItemRoles = ['option', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'treeitem'];
+
+            // Roles skipped when looking for an element's owner or owned elements
+            this.transparentRoles = ['generic', 'none', 'presentation'];
+
+            this.rules = [
+                { id: 'role-invalid', wcag: '4.1.2', check: element => this.checkRoleValid(element) },
+                { id: 'role-abstract', wcag: '4.1.2', check: element => this.checkRoleAbstract(element) },
+                { id: 'name-missing', wcag: '4.1.2', check: element => this.checkName(element) },
+                { id: 'aria-required-children', wcag: '1.3.1', check: element => this.checkRequiredChildren(element) },
+                { id: 'aria-required-parent', wcag: '1.3.1', check: element => this.checkRequiredParent(element) },
+                { id: 'aria-labelledby-missing', wcag: '4.1.2', check: element => this.checkIdReference(element, 'aria-labelledby') },
+                { id: 'aria-describedby-missing', wcag: '1.3.1', check: element => this.checkIdReference(element, 'aria-describedby') },
+                { id: 'focusable-aria-hidden', wcag: '4.1.2', check: element => this.checkAriaHidden(element) },
+                { id: 'nested-interactive', wcag: '4.1.2', check: element => this.checkNestedInteractive(element) }
+            ];
+        }
+
+        /**
+         * Run every rule against an element, returning [{ ruleId, wcag, message }]
+         */
+        check(element) {
+            if (!this.nameCalculator.isElement(element)) return [];
+
+            const failures = [];
+            this.rules.forEach(rule => {
+                const message = rule.check(element);
+                if (message) {
+                    failures.push({ ruleId: rule.id, wcag: rule.wcag, message: message });
+                }
+            });
+            return failures;
+        }
+
+        /**
+         * Explicit role must be a defined ARIA role
+         */
+        checkRoleValid(element) {
+            const role = this.getExplicitRole(element);
+            if (!role || this.validRoles.includes(role) || this.abstractRoles.includes(role)) return null;
+
+            return `role="${role}" is not a valid ARIA role`;
+        }
+
+        /**
+         * Abstract roles only exist to structure the ARIA taxonomy
+         */
+        checkRoleAbstract(element) {
+            const role = this.getExplicitRole(element);
+            if (!this.abstractRoles.includes(role)) return null;
+
+            return `role="${role}" is an abstract role and must not be used in content`;
+        }
+
+        /**
+         * Widgets and images need an accessible name
+         */
+        checkName(element) {
+            const role = this.nameCalculator.getRole(element);
+            if (!this.nameRequiredRoles.includes(role)) return null;
+
+            // Hidden elements have no name by definition; focusable-aria-hidden covers them
+            if (FlatTree.closest(element, '[aria-hidden="true"]')) return null;
+            if (this.nameCalculator.computeName(element).name) return null;
+
+            return `${role} has no accessible name`;
+        }
+
+        /**
+         * Container roles must own at least one of their required child roles
+         */
+        checkRequiredChildren(element) {
+            if (!element.hasAttribute('role')) return null;
+
+            const role = this.nameCalculator.getRole(element);
+            const allowed = this.requiredChildren[role];
+            if (!allowed || element.getAttribute('aria-busy') === 'true') return null;
+
+            const owned = this.getOwnedRoles(element);
+            if (owned.some(ownedRole => allowed.includes(ownedRole))) return null;
+
+            return `${role} does not contain a required ${allowed.join(' or ')} element`;
+        }
+
+        /**
+         * Child roles must sit inside one of their required parent roles
+         */
+        checkRequiredParent(element) {
+            if (!element.hasAttribute('role')) return null;
+
+            const role = this.nameCalculator.getRole(element);
+            const allowed = this.requiredParents[role];
+            if (!allowed) return null;
+
+            const parentRole = this.getOwnerRole(element);
+            if (allowed.includes(parentRole)) return null;
+
+            return `${role} is not contained in a ${allowed.join(' or ')} element` +
+                   (parentRole ? ` (found ${parentRole})` : '');
+        }
+
+        /**
+         * ID reference attributes must point at elements in the same document or shadow root
+         */
+        checkIdReference(element, attribute) {
+            const root = element.getRootNode();
+            const ids = (element.getAttribute(attribute) || '').trim().split(/\s+/).filter(Boolean);
+            const missing = ids.filter(id => !root.getElementById(id));
+            if (missing.length === 0) return null;
+
+            return `${attribute} points at missing id${missing.length !== 1 ? 's' : ''} ${missing.map(id => `"${id}"`).join(', ')}`;
+        }
+
+        /**
+         * Focusable elements must not be hidden from assistive technology
+         */
+        checkAriaHidden(element) {
+            if (!this.isFocusable(element)) return null;
+
+            const hiddenAncestor = FlatTree.closest(element, '[aria-hidden="true"]');
+            if (!hiddenAncestor) return null;
+
+            return hiddenAncestor === element
+                ? 'Focusable element has aria-hidden="true"'
+                : 'Focusable element is inside an aria-hidden="true" subtree';
+        }
+
+        /**
+         * Interactive controls must not contain or be contained in other interactive elements
+         */
+        checkNestedInteractive(element) {
+            const role = this.nameCalculator.getRole(element);
+            if (!this.interactiveRoles.includes(role)) return null;
+
+            const isOwnedItem = this.ownedItemRoles.includes(role);
+            for (let ancestor = FlatTree.getParent(element); ancestor; ancestor = FlatTree.getParent(ancestor)) {
+                const ancestorRole = this.nameCalculator.getRole(ancestor);
+                if (isOwnedItem && ancestorRole === 'combobox') continue;
+                if (this.interactiveRoles.includes(ancestorRole)) {
+                    return `${role} is nested inside a ${ancestorRole}`;
+                }
+            }
+
+            let nested = null;
+            FlatTree.walk(element, (node) => {
+                if (nested || node.nodeType !== Node.ELEMENT_NODE) return false;
+
+                const nodeRole = this.nameCalculator.getRole(node);
+                if (this.ownedItemRoles.includes(nodeRole)) return;
+                if (this.interactiveRoles.includes(nodeRole) || this.isFocusable(node)) {
+                    nested = nodeRole || node.tagName.toLowerCase();
+                    return false;
+                }
+            });
+
+            return nested ? `${role} contains a nested ${nested}` : null;
+        }
+
+        /**
+         * Roles of the elements an element owns, looking through generic wrappers and aria-owns
+         */
+        getOwnedRoles(element) {
+            const roles = [];
+
+            FlatTree.walk(element, (node) => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return false;
+
+                const role = this.nameCalculator.getRole(node);
+                if (role && !this.transparentRoles.includes(role)) {
+                    roles.push(role);
+                    return false;
+                }
+            });
+
+            const root = element.getRootNode();
+            (element.getAttribute('aria-owns') || '').trim().split(/\s+/).filter(Boolean).forEach(id => {
+                const owned = root.getElementById(id);
+                if (owned) {
+                    roles.push(this.nameCalculator.getRole(owned));
+                }
+            });
+
+            return roles;
+        }
+
+        /**
+         * Role of the nearest meaningful ancestor, or of the element that claims it with aria-owns
+         */
+        getOwnerRole(element) {
+            if (element.id) {
+                const root = element.getRootNode();
+                const owner = Array.from(root.querySelectorAll('[aria-owns]'))
+                    .find(candidate => candidate.getAttribute('aria-owns').trim().split(/\s+/).includes(element.id));
+                if (owner) return this.nameCalculator.getRole(owner);
+            }
+
+            for (let ancestor = FlatTree.getParent(element); ancestor; ancestor = FlatTree.getParent(ancestor)) {
+                if (ancestor.nodeType !== Node.ELEMENT_NODE) continue;
+
+                const role = this.nameCalculator.getRole(ancestor);
+                if (role && !this.transparentRoles.includes(role)) return role;
+            }
+
+            return null;
+        }
+
+        /**
+         * First token of the role attribute, lowercased
+         */
+        getExplicitRole(element) {
+            return (element.getAttribute('role') || '').trim().split(/\s+/)[0].toLowerCase();
+        }
+
+        /**
+         * Check if an element can receive keyboard focus
+         */
+        isFocusable(element) {
+            return element.tabIndex >= 0 && !element.disabled && !element.hasAttribute('inert');
+        }
+    }
+
+    /**
+     * Focus Issue Detector
+     * Judges focus movement: lost focus, out-of-order Tab moves and keyboard traps
+     */
+    class FocusIssueDetector {
+        constructor() {
+            this.lastFocused = null;
+            this.tabHistory = [];
+            this.trapWindow = 12;
+            this.trapMaxElements = 4;
+        }
+
+        /**
+         * Remember the element that most recently received focus
+         */
+        recordFocus(element) {
+            this.lastFocused = element;
+        }
+
+        /**
+         * Check a Tab or Shift+Tab move against document order and the recent Tab history
+         */
+        analyzeTabMove(origin, target, backwards, focusableElements) {
+            const issues = [];
+
+            if (origin && origin !== target && origin.isConnected && origin !== origin.ownerDocument.body) {
+                const order = FlatTree.compareOrder(origin, target);
+                const movedBackwards = order > 0;
+                const positive = [target, origin].find(element => element.tabIndex > 0);
+                const reason = positive ? ` because of tabindex="${positive.tabIndex}"` : '';
+
+                // Wrapping around inside a modal dialog is how focus containment is meant to work
+                const wrapsInModal = this.isInOpenModal(origin) &&
+                    FlatTree.closest(origin, 'dialog, [aria-modal="true"]') === FlatTree.closest(target, 'dialog, [aria-modal="true"]');
+
+                if (order !== 0 && movedBackwards !== backwards && !wrapsInModal) {
+                    issues.push({
+                        ruleId: 'focus-order-reversed',
+                        wcag: '2.4.3',
+                        element: target,
+                        message: `${backwards ? 'Shift+Tab' : 'Tab'} moved focus ${movedBackwards ? 'backwards' : 'forwards'} in document order${reason}`
+                    });
+                } else if (!backwards && positive) {
+                    const skipped = focusableElements.indexOf(target) - focusableElements.indexOf(origin) - 1;
+                    if (skipped > 0) {
+                        issues.push({
+                            ruleId: 'focus-jump',
+                            wcag: '2.4.3',
+                            element: target,
+                            message: `Tab skipped ${skipped} focusable element${skipped !== 1 ? 's' : ''}${reason}`
+                        });
+                    }
+                }
+            }
+
+            const trap = this.checkKeyboardTrap(target, focusableElements);
+            if (trap) {
+                issues.push(trap);
+            }
+
+            return issues;
+        }
+
+        /**
+         * Detect Tab cycling through a few elements while the rest of the page is unreachable
+         */
+        checkKeyboardTrap(target, focusableElements) {
+            this.tabHistory.push(target);
+            if (this.tabHistory.length > this.trapWindow) {
+                this.tabHistory.shift();
+            }
+            if (this.tabHistory.length < this.trapWindow) return null;
+
+            const cycle = new Set(this.tabHistory);
+            if (cycle.size > this.trapMaxElements || focusableElements.length <= cycle.size) return null;
+
+            // Every element must come round at least twice, otherwise focus is still passing through
+            const visits = element => this.tabHistory.filter(visited => visited === element).length;
+            if (Array.from(cycle).some(element => visits(element) < 2)) return null;
+
+            // Containing focus is expected inside an open modal dialog
+            if (Array.from(cycle).every(element => this.isInOpenModal(element))) return null;
+
+            this.tabHistory = [];
+            return {
+                ruleId: 'keyboard-trap',
+                wcag: '2.1.2',
+                element: target,
+                message: `Tab keeps cycling through the same ${cycle.size} element${cycle.size !== 1 ? 's' : ''} ` +
+                         `without an open modal dialog; ${focusableElements.length - cycle.size} other focusable elements are unreachable`
+            };
+        }
+
+        /**
+         * Detect focus falling back to the body after the focused element was removed or hidden
+         */
+        checkFocusLoss() {
+            const lost = this.lastFocused;
+            if (!lost) return null;
+
+            const activeElement = FlatTree.getDeepActiveElement();
+            if (activeElement && activeElement !== activeElement.ownerDocument.body && activeElement !== lost) {
+                return null;
+            }
+            if (lost.isConnected && this.isRendered(lost)) return null;
+
+            // The focused element is gone; the browser is about to or already did reset focus
+            this.lastFocused = null;
+            return {
+                ruleId: 'focus-lost',
+                wcag: '2.4.3',
+                element: lost,
+                message: `Focus fell back to the page body after the focused element was ${lost.isConnected ? 'hidden' : 'removed'}`
+            };
+        }
+
+        /**
+         * Check if a mutation batch removed, hid or restyled the focused element or one of its ancestors
+         */
+        isAffectedBy(mutations) {
+            const focused = this.lastFocused;
+            if (!focused) return false;
+
+            return mutations.some((mutation) => {
+                if (mutation.type === 'childList') {
+                    return Array.from(mutation.removedNodes).some(node => FlatTree.contains(node, focused));
+                }
+                return FlatTree.contains(mutation.target, focused);
+            });
+        }
+
+        /**
+         * Check if an element is inside an open modal dialog
+         */
+        isInOpenModal(element) {
+            const dialog = FlatTree.closest(element, 'dialog[open], [aria-modal="true"]');
+            if (!dialog) return false;
+            if (dialog.getAttribute('aria-modal') === 'true' || dialog.tagName.toLowerCase() !== 'dialog') return true;
+
+            try {
+                return dialog.matches(':modal');
+            } catch (error) {
+                return true;
+            }
+        }
+
+        /**
+         * Check that neither the element nor an ancestor is display:none or visibility:hidden
+         */
+        isRendered(element) {
+            for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = FlatTree.getParent(current)) {
+                if (current.hidden) return false;
+                const style = FlatTree.getComputedStyle(current);
+                if (style.display === 'none') return false;
+                if (current === element && style.visibility === 'hidden') return false;
+            }
+            return true;
+        }
+
+        /**
+         * Forget focus history, for example after navigation
+         */
+        reset() {
+            this.lastFocused = null;
+            this.tabHistory = [];
+        }
+    }
+
+    /**
+     * Tab Order Overlay
+     * Draws numbered badges and connecting arrows over the page in sequential focus order
+     */
+    class TabOrderOverlay {
+        constructor() {
+            this.host = null;
+            this.root = null;
+            this.isVisible = false;
+        }
+
+        /**
+         * Attach the overlay to the page
+         */
+        show() {
+            if (this.isVisible) return;
+
+            // A closed shadow root keeps page styles out and hides the badges from the text reader
+            this.host = document.createElement('div');
+            this.host.setAttribute('data-accessibility-logger-overlay', '');
+            this.host.setAttribute('aria-hidden', 'true');
+            this.host.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; ' +
+                'overflow: visible; pointer-events: none; z-index: 2147483647;';
+            this.root = this.host.attachShadow({ mode: 'closed' });
+
+            document.documentElement.appendChild(this.host);
+            this.isVisible = true;
+        }
+
+        /**
+         * Remove the overlay from the page
+         */
+        hide() {
+            if (this.host) {
+                this.host.remove();
+            }
+            this.host = null;
+            this.root = null;
+            this.isVisible = false;
+        }
+
+        /**
+         * Check if a mutation only concerns the overlay itself
+         */
+        isOwnMutation(mutation) {
+            if (!this.host) return false;
+            if (mutation.target === this.host) return true;
+
+            const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+            return nodes.length > 0 && nodes.every(node => node === this.host);
+        }
+
+        /**
+         * Redraw badges and arrows for the given stops, each { element, unnamed, hidden, positiveTabindex }
+         */
+        draw(stops) {
+            if (!this.isVisible) return;
+
+            const placed = stops.map((stop, index) => ({
+                ...stop,
+                number: index + 1,
+                box: FlatTree.getPageRect(stop.element)
+            }));
+
+            const width = Math.max(document.documentElement.scrollWidth, window.innerWidth);
+            const height = Math.max(document.documentElement.scrollHeight, window.innerHeight);
+
+            const arrows = placed.slice(1).map((stop, index) => {
+                const from = this.getCenter(placed[index].box);
+                const to = this.getCenter(stop.box);
+                return `<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" marker-end="url(#arrowhead)"></line>`;
+            }).join('');
+
+            const badges = placed.map(stop => {
+                const marks = this.getMarks(stop);
+                const classes = ['stop', ...marks.map(mark => mark.className)].join(' ');
+                const label = [stop.number, ...marks.map(mark => mark.label)].join(' · ');
+                const { left, top, width: boxWidth, height: boxHeight } = stop.box;
+
+                return `<div class="${classes}" style="left: ${left}px; top: ${top}px; width: ${boxWidth}px; height: ${boxHeight}px;">` +
+                       `<span class="badge">${this.escapeHtml(label)}</span></div>`;
+            }).join('');
+
+            this.root.innerHTML = `
+                <style>
+                    :host { all: initial; }
+                    svg { position: absolute; top: 0; left: 0; overflow: visible; }
+                    line { stroke: #0078d4; stroke-width: 2; stroke-opacity: 0.7; }
+                    .stop { position: absolute; box-sizing: border-box; outline: 2px solid #0078d4; }
+                    .badge {
+                        position: absolute; top: -10px; left: -10px; min-width: 20px; padding: 1px 5px;
+                        border-radius: 10px; background: #0078d4; color: #fff; white-space: nowrap;
+                        font: bold 11px/18px system-ui, sans-serif; text-align: center; box-sizing: border-box;
                     }
+                    .stop.positive-tabindex { outline-color: #e65100; }
+                    .stop.positive-tabindex .badge { background: #e65100; }
+                    .stop.unnamed { outline: 2px dashed #d32f2f; }
+                    .stop.unnamed .badge { background: #d32f2f; }
+                    .stop.hidden { outline: 2px dotted #616161; }
+                    .stop.hidden .badge { background: #616161; }
+                </style>
+                <svg width="${width}" height="${height}">
+                    <defs>
+                        <marker id="arrowhead" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                            <path d="M0,0 L8,4 L0,8 z" fill="#0078d4"></path>
+                        </marker>
+                    </defs>
+                    ${arrows}
+                </svg>
+                ${badges}
+            `;
+        }
+
+        /**
+         * Describe why a stop is marked, most severe first
+         */
+        getMarks(stop) {
+            const marks = [];
+            if (stop.unnamed) marks.push({ className: 'unnamed', label: 'no name' });
+            if (stop.hidden) marks.push({ className: 'hidden', label: 'hidden' });
+            if (stop.positiveTabindex) {
+                marks.push({ className: 'positive-tabindex', label: `tabindex=${stop.element.tabIndex}` });
+            }
+            return marks;
+        }
+
+        /**
+         * Center point of a page rectangle
+         */
+        getCenter(box) {
+            return {
+                x: Math.round(box.left + box.width / 2),
+                y: Math.round(box.top + box.height / 2)
+            };
+        }
+
+        /**
+         * Escape text for the overlay markup
+         */
+        escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        }
+    }
+
+    /**
+     * Session Recorder
+     * Captures keyboard sessions as key steps with target selectors and timings
+     */
+    class SessionRecorder {
+        constructor() {
+            this.isRecording = false;
+            this.session = null;
+            this.lastStepTime = 0;
+            this.modifierKeys = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+            this.credentialAutocomplete = [
+                'current-password', 'new-password', 'one-time-code',
+                'cc-number', 'cc-csc', 'cc-exp', 'cc-exp-month', 'cc-exp-year'
+            ];
+        }
+
+        /**
+         * Start a new recording from the current focus position
+         */
+        start() {
+            const activeElement = FlatTree.getDeepActiveElement();
+
+            this.isRecording = true;
+            this.lastStepTime = Date.now();
+            this.session = {
+                url: window.location.href,
+                recordedAt: new Date().toISOString(),
+                startTarget: activeElement && activeElement !== document.body ? this.getSelector(activeElement) : null,
+                steps: []
+            };
+        }
+
+        /**
+         * Record a keydown with the element that received it
+         */
+        record(e, target) {
+            if (!this.isRecording || this.modifierKeys.includes(e.key)) return;
+
+            const now = Date.now();
+            // Characters typed into credential fields are never stored, only that a character was typed
+            const isRedacted = e.key.length === 1 && this.isCredentialField(target);
+
+            this.session.steps.push({
+                key: isRedacted ? '•' : e.key,
+                code: isRedacted ? null : e.code,
+                shiftKey: e.shiftKey,
+                ctrlKey: e.ctrlKey,
+                altKey: e.altKey,
+                metaKey: e.metaKey,
+                delay: now - this.lastStepTime,
+                target: target && target.nodeType === Node.ELEMENT_NODE ? this.getSelector(target) : null
+            });
+            this.lastStepTime = now;
+        }
+
+        /**
+         * Check if an element takes a password, one-time code or card details
+         */
+        isCredentialField(element) {
+            if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+            if (element.tagName.toLowerCase() === 'input' && (element.type || '').toLowerCase() === 'password') {
+                return true;
+            }
+
+            const tokens = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+            return tokens.some(token => this.credentialAutocomplete.includes(token));
+        }
+
+        /**
+         * Stop recording and return the session, or null if none was running
+         */
+        stop() {
+            if (!this.isRecording) return null;
+
+            this.isRecording = false;
+            const session = this.session;
+            this.session = null;
+            return session;
+        }
+
+        /**
+         * Selector path to an element; ' >>> ' steps into a shadow root or same-origin frame
+         */
+        getSelector(element) {
+            const segments = [];
+
+            for (let current = element; current; current = this.getBoundaryHost(current)) {
+                const path = [];
+
+                for (let node = current; node; node = node.parentElement) {
+                    // Anchor on an id when it is unique within this document or shadow root
+                    if (node.id) {
+                        const idSelector = `#${CSS.escape(node.id)}`;
+                        if (node.getRootNode().querySelectorAll(idSelector).length === 1) {
+                            path.unshift(idSelector);
+                            break;
+                        }
+                    }
+                    path.unshift(this.getSelectorStep(node));
+                }
+
+                segments.unshift(path.join(' > '));
+            }
+
+            return segments.join(' >>> ');
+        }
+
+        /**
+         * Tag name, with :nth-of-type when siblings share it
+         */
+        getSelectorStep(element) {
+            const tagName = element.tagName.toLowerCase();
+            const parent = element.parentElement;
+            if (!parent) return tagName;
+
+            const sameTag = Array.from(parent.children).filter(child => child.tagName === element.tagName);
+            return sameTag.length > 1
+                ? `${tagName}:nth-of-type(${sameTag.indexOf(element) + 1})`
+                : tagName;
+        }
+
+        /**
+         * Shadow host or frame element containing an element's tree, or null at the top document
+         */
+        getBoundaryHost(element) {
+            const root = element.getRootNode();
+            if (root.host) return root.host;
+            if (root === document) return null;
+
+            try {
+                return root.defaultView ? root.defaultView.frameElement : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Find the element a selector path points to, or null
+         */
+        resolveSelector(selector) {
+            if (!selector) return null;
+
+            let root = document;
+            const segments = selector.split(' >>> ');
+
+            for (let index = 0; index < segments.length; index++) {
+                let element;
+                try {
+                    element = root.querySelector(segments[index]);
+                } catch (error) {
+                    return null;
+                }
+                if (!element) return null;
+                if (index === segments.length - 1) return element;
+
+                root = element.shadowRoot || FlatTree.getFrameDocument(element);
+                if (!root) return null;
+            }
+
+            return null;
+        }
+    }
+
+    /**
+     * Element References
+     * Gives logged elements a token that finds the same node again, with a selector path as fallback
+     */
+    class ElementReferences {
+        constructor(sessionRecorder) {
+            this.sessionRecorder = sessionRecorder;
+            this.tokens = new WeakMap();
+            this.elements = new Map();
+            this.nextId = 1;
+            this.maxReferences = 2000;
+
+            // Tokens from an earlier page load must not match nodes on this one
+            this.prefix = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        }
+
+        /**
+         * Reference to an element, { token, selector }
+         */
+        getReference(element) {
+            let token = this.tokens.get(element);
+
+            if (!token) {
+                token = `${this.prefix}-${this.nextId++}`;
+                this.tokens.set(element, token);
+            }
+
+            // Keep the most recently logged elements last, so eviction drops the ones not seen for longest
+            const weakRef = this.elements.get(token) || new WeakRef(element);
+            this.elements.delete(token);
+            this.elements.set(token, weakRef);
+
+            // Forget the oldest tokens; the panel only keeps a bounded log anyway
+            if (this.elements.size > this.maxReferences) {
+                const [oldestToken, oldestRef] = this.elements.entries().next().value;
+                this.elements.delete(oldestToken);
+
+                const evicted = oldestRef.deref();
+                if (evicted) {
+                    this.tokens.delete(evicted);
+                }
+            }
+
+            return {
+                token: token,
+                selector: element.isConnected ? this.sessionRecorder.getSelector(element) : null
+            };
+        }
+
+        /**
+         * Find the element a reference points to, { element, matchedBy } with matchedBy 'token' or 'selector'
+         */
+        resolve(reference) {
+            if (!reference) return { element: null, matchedBy: null };
+
+            const weakRef = this.elements.get(reference.token);
+            const element = weakRef && weakRef.deref();
+            if (element && element.isConnected) {
+                return { element: element, matchedBy: 'token' };
+            }
+
+            // The logged node is gone; something may have replaced it at the same place
+            const replacement = this.sessionRecorder.resolveSelector(reference.selector);
+            return replacement
+                ? { element: replacement, matchedBy: 'selector' }
+                : { element: null, matchedBy: null };
+        }
+    }
+
+    /**
+     * Accessibility Event Monitor
+     * Logs every focus change with its cause, plus blur, ARIA, live region, issue, mode and replay events
+     */
+    class AccessibilityMonitor {
+        constructor() {
+            this.eventQueue = [];
+            this.eventPort = null;
+            this.observers = [];
+            this.eventListeners = [];
+            this.textReader = new TextReader();
+            this.nameCalculator = new AccessibleNameCalculator();
+            this.ruleEngine = new RuleEngine(this.nameCalculator);
+            this.modeStateMachine = new ModeStateMachine(this.nameCalculator);
+            this.isInsertHeld = false; // Insert is the NVDA modifier key
+            this.panelState = { attached: false, simulateKeys: false }; // Set by the service worker while a panel is subscribed
+            this.liveRegionTracker = new LiveRegionTracker(this.nameCalculator);
+            this.speechComposer = new SpeechComposer(this.nameCalculator);
+            this.virtualCursor = new VirtualCursor(this.nameCalculator, this.textReader, this.speechComposer);
+            this.tableNavigator = new TableNavigator(this.nameCalculator, this.virtualCursor);
+            this.sessionRecorder = new SessionRecorder();
+            this.elementReferences = new ElementReferences(this.sessionRecorder);
+            this.highlight = null;
+            this.highlightTimeout = null;
+            this.focusIssueDetector = new FocusIssueDetector();
+            this.tabOrigin = null;
+            this.tabBackwards = false;
+            this.focusLossTimeout = null;
+            this.tabOrderOverlay = new TabOrderOverlay();
+            this.overlayTimeout = null;
+            this.focusOrderObserver = null;
+            this.focusableElements = null; // Cached by getFocusableElements, cleared when the tab order may change
+            this.isReplaying = false;
+            this.replayTimeout = null;
+            this.replayCallback = null; // Answers the panel's replay request when the replay ends
+            this.lastKeyPressed = null; // Track the last key pressed
+            this.lastInput = null; // Last keyboard or pointer input, for focus cause attribution
+            this.pendingFocusCall = null; // Last focus() call reported by the page's focus tracer
+            this.lastFocusedElement = null;
+            this.isWindowBlurred = false;
+            this.focusedSince = null; // { element, time } for how long focus was held
+            this.focusOutTimeout = null;
+            this.inputAttributionWindow = 500;
+            this.pageLoadWindow = 5000;
+            this.pendingHostsTimeout = null;
+            this.pendingHostInterval = 1000;
+            
+            this.init();
+        }
+
+        init() {
+            this.observedRoots = [];
+            this.observerConfigs = [];
+            this.documentListeners = [];
+            this.pendingHosts = new Set(); // Custom elements not yet defined, which may attach a shadow root on upgrade
+            this.attachRoot(document);
+
+            this.connectEventPort();
+            this.setupRuntimeMessageListener();
+            this.modeStateMachine.reset();
+            this.tableNavigator.reset();
+            this.setupFocusMonitoring();
+            this.setupFocusOutMonitoring();
+            this.setupKeyboardMonitoring();
+            this.setupNavigationListener();
+            this.setupLiveRegionMonitoring();
+            this.setupAriaChangeMonitoring();
+            this.setupFocusIssueDetection();
+            this.setupTabOrderOverlay();
+            this.setupRootDiscovery();
+        }
+
+        /**
+         * Watch open shadow roots and same-origin frames as they appear
+         */
+        setupRootDiscovery() {
+            this.discoverRoots(document);
+
+            const rootObserver = new MutationObserver((mutations) => {
+                mutations.forEach((mutation) => {
+                    mutation.addedNodes.forEach((node) => {
+                        if (node.nodeType === Node.ELEMENT_NODE) {
+                            this.discoverRoots(node);
+                        }
+                    });
                 });
-                
-                if (shouldRefresh) {
-                    this.textReader.refresh();
+            });
+
+            this.registerObserver(rootObserver, {
+                childList: true,
+                subtree: true
+            });
+
+            // Frame documents are replaced on every load
+            this.addDocumentListener('load', (e) => {
+                if (FlatTree.getFrameDocument(e.target)) {
+                    this.discoverRoots(e.target);
+                    this.textReader.updateSubtrees([e.target]);
+                }
+            }, true);
+
+            // Focus can land in a shadow root attached since its host was last checked
+            this.addDocumentListener('focusin', (e) => {
+                const hosts = e.composedPath()
+                    .filter(node => node.nodeType === Node.DOCUMENT_FRAGMENT_NODE && node.host &&
+                        !this.observedRoots.includes(node))
+                    .map(root => root.host);
+                this.attachLateRoots(hosts);
+            }, true);
+        }
+
+        /**
+         * Attach every open shadow root and same-origin frame document below a node
+         */
+        discoverRoots(node) {
+            const elements = node.nodeType === Node.ELEMENT_NODE
+                ? [node, ...node.querySelectorAll('*')]
+                : Array.from(node.querySelectorAll('*'));
+
+            elements.forEach((element) => {
+                if (element.shadowRoot) {
+                    this.attachRoot(element.shadowRoot);
+                    this.discoverRoots(element.shadowRoot);
+                } else if (element.localName.includes('-') && !element.matches(':defined')) {
+                    this.pendingHosts.add(element);
+                }
+
+                const frameDocument = FlatTree.getFrameDocument(element);
+                if (frameDocument && frameDocument.documentElement) {
+                    this.attachRoot(frameDocument);
+                    this.discoverRoots(frameDocument);
+                }
+            });
+
+            this.schedulePendingHostCheck();
+        }
+
+        /**
+         * Recheck undefined custom elements later; content scripts cannot use customElements.whenDefined
+         */
+        schedulePendingHostCheck() {
+            if (this.pendingHostsTimeout || this.pendingHosts.size === 0) return;
+
+            this.pendingHostsTimeout = setTimeout(() => {
+                this.pendingHostsTimeout = null;
+                this.checkPendingHosts();
+            }, this.pendingHostInterval);
+        }
+
+        /**
+         * Attach the shadow roots of pending custom elements that have been upgraded since
+         */
+        checkPendingHosts() {
+            const upgraded = [];
+
+            this.pendingHosts.forEach((element) => {
+                if (element.shadowRoot) {
+                    upgraded.push(element);
+                } else if (element.isConnected && !element.matches(':defined')) {
+                    return;
+                }
+                // Removed, upgraded, or defined without a shadow root
+                this.pendingHosts.delete(element);
+            });
+
+            this.attachLateRoots(upgraded);
+            this.schedulePendingHostCheck();
+        }
+
+        /**
+         * Attach shadow roots that appeared after their host was inserted, and read them into the buffer
+         */
+        attachLateRoots(hosts) {
+            if (hosts.length === 0) return;
+
+            hosts.forEach((host) => {
+                this.pendingHosts.delete(host);
+                this.attachRoot(host.shadowRoot);
+                this.discoverRoots(host.shadowRoot);
+            });
+            this.textReader.updateSubtrees(hosts);
+        }
+
+        /**
+         * Start observing a document or shadow root with every registered observer and listener
+         */
+        attachRoot(root) {
+            if (this.observedRoots.includes(root)) return;
+            this.observedRoots.push(root);
+
+            this.observerConfigs.forEach(({ observer, options }) => observer.observe(root, options));
+
+            // Composed events from shadow roots already reach their document
+            if (root.nodeType === Node.DOCUMENT_NODE) {
+                this.documentListeners.forEach(({ event, listener, options }) => {
+                    this.listenOn(root, event, listener, options);
+                });
+            }
+        }
+
+        /**
+         * Observe the document and every attached shadow root and frame document
+         */
+        registerObserver(observer, options) {
+            this.observerConfigs.push({ observer, options });
+            this.observedRoots.forEach(root => observer.observe(root, options));
+            this.observers.push(observer);
+        }
+
+        /**
+         * Listen on the document and every attached frame document
+         */
+        addDocumentListener(event, listener, options) {
+            this.documentListeners.push({ event, listener, options });
+            this.observedRoots
+                .filter(root => root.nodeType === Node.DOCUMENT_NODE)
+                .forEach(root => this.listenOn(root, event, listener, options));
+        }
+
+        /**
+         * Add an event listener and record it for cleanup
+         */
+        listenOn(target, event, listener, options) {
+            target.addEventListener(event, listener, options);
+            this.eventListeners.push({ target, event, listener, options });
+        }
+
+        /**
+         * Open the port that streams events to the background hub
+         */
+        connectEventPort() {
+            try {
+                this.eventPort = chrome.runtime.connect({ name: 'accessibility-events' });
+            } catch (error) {
+                // Extension context invalidated
+                this.eventPort = null;
+                return;
+            }
+
+            // Reconnect on the next event; the service worker may have been stopped
+            this.eventPort.onDisconnect.addListener(() => {
+                this.eventPort = null;
+            });
+
+            // The service worker answers a new connection with whether a panel is attached
+            this.eventPort.onMessage.addListener((message) => {
+                if (message.action === 'panel-state') {
+                    this.setPanelState(message);
+                }
+            });
+
+            this.processEventQueue();
+        }
+
+        /**
+         * Record whether a DevTools panel is attached and wants NVDA keys handled on the page
+         */
+        setPanelState(state) {
+            this.panelState = { attached: !!state.attached, simulateKeys: !!state.simulateKeys };
+        }
+
+        /**
+         * NVDA commands that move focus or take over page shortcuts only run for an attached panel
+         */
+        isSimulatingKeys() {
+            return this.panelState.attached && this.panelState.simulateKeys;
+        }
+
+        /**
+         * Listen for messages from background script
+         */
+        setupRuntimeMessageListener() {
+            const messageListener = (request, sender, sendResponse) => {
+                if (request.action === 'reinitialize') {
+                    this.reinitialize();
+                    sendResponse({ success: true });
+                }
+
+                if (request.action === 'panel-state') {
+                    this.setPanelState(request);
+                    sendResponse({ success: true });
+                }
+
+                if (request.action === 'get-elements-list') {
+                    sendResponse({ success: true, elements: this.virtualCursor.collectElementsList() });
+                }
+
+                if (request.action === 'move-to-element') {
+                    const announcement = this.virtualCursor.moveToListedElement(request.elementId);
+                    sendResponse({ success: !!announcement, announcement: announcement });
+                }
+
+                if (request.action === 'start-recording') {
+                    this.sessionRecorder.start();
+                    sendResponse({ success: true });
+                }
+
+                if (request.action === 'stop-recording') {
+                    const session = this.sessionRecorder.stop();
+                    sendResponse({ success: !!session, session: session });
+                }
+
+                if (request.action === 'toggle-tab-order-overlay') {
+                    const stops = this.setTabOrderOverlay(request.visible);
+                    sendResponse({ success: true, visible: this.tabOrderOverlay.isVisible, stops: stops });
+                }
+
+                if (request.action === 'reveal-element') {
+                    const { element, matchedBy } = this.elementReferences.resolve(request.reference);
+                    if (element) {
+                        this.revealElement(element);
+                    }
+                    sendResponse({ success: true, found: !!element, matchedBy: matchedBy, frameURL: window.location.href });
+                }
+
+                if (request.action === 'replay-session') {
+                    if (this.isReplaying || this.sessionRecorder.isRecording) {
+                        sendResponse({ success: false, error: 'busy' });
+                        return;
+                    }
+
+                    // Respond once the replay has finished
+                    this.replaySession(request.session, sendResponse);
+                    return true;
+                }
+            };
+            
+            chrome.runtime.onMessage.addListener(messageListener);
+            this.eventListeners.push({ 
+                target: chrome.runtime.onMessage, 
+                listener: messageListener 
+            });
+        }
+
+        /**
+         * Listen for navigation and reinitialization messages
+         */
+        setupNavigationListener() {
+            // Listen for page visibility changes
+            const visibilityChangeListener = () => {
+                if (document.visibilityState === 'visible') {
+                    this.checkAndReinitialize();
                 }
+            };
+            
+            document.addEventListener('visibilitychange', visibilityChangeListener);
+            this.eventListeners.push({ 
+                target: document, 
+                event: 'visibilitychange', 
+                listener: visibilityChangeListener 
+            });
+
+            // Keep the text reader's buffer in step with DOM changes, one subtree at a time
+            const mutationObserver = new MutationObserver((mutations) => {
+                this.textReader.applyMutations(mutations);
             });
             
-            mutationObserver.observe(document, {
+            this.registerObserver(mutationObserver, {
                 childList: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: ['class', 'style', 'hidden'],
                 subtree: true
             });
-            
-            this.observers.push(mutationObserver);
+        }
+
+        /**
+         * Monitor live regions and report what a screen reader would announce
+         */
+        setupLiveRegionMonitoring() {
+            const liveRegionObserver = new MutationObserver((mutations) => {
+                const announcements = this.liveRegionTracker.processMutations(mutations);
+
+                announcements.forEach((announcement) => {
+                    const { region, ...details } = announcement;
+
+                    this.queueOrSendEvent({
+                        type: 'live-region-update',
+                        timestamp: Date.now(),
+                        id: Date.now() + Math.random(),
+                        speech: details.announcement,
+                        element: this.getElementInfo(region),
+                        details: details
+                    });
+                });
+            });
+
+            this.registerObserver(liveRegionObserver, {
+                childList: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: ['aria-busy'],
+                subtree: true
+            });
+        }
+
+        /**
+         * Monitor ARIA state and property changes with old and new values
+         */
+        setupAriaChangeMonitoring() {
+            const trackedAttributes = ['role', 'disabled', 'hidden', 'tabindex'];
+
+            const ariaObserver = new MutationObserver((mutations) => {
+                mutations.forEach((mutation) => {
+                    const attribute = mutation.attributeName;
+                    if (!attribute.startsWith('aria-') && !trackedAttributes.includes(attribute)) {
+                        return;
+                    }
+
+                    const element = mutation.target;
+                    const oldValue = this.normalizeAttributeValue(attribute, mutation.oldValue);
+                    const newValue = this.normalizeAttributeValue(attribute, element.getAttribute(attribute));
+                    if (oldValue === newValue) return;
+
+                    const isFocused = element === FlatTree.getDeepActiveElement();
+                    const announcement = isFocused
+                        ? this.speechComposer.describeStateChange(element, attribute, newValue)
+                        : null;
+
+                    this.queueOrSendEvent({
+                        type: 'aria-change',
+                        timestamp: Date.now(),
+                        id: Date.now() + Math.random(),
+                        speech: announcement,
+                        element: this.getElementInfo(element),
+                        details: {
+                            attribute: attribute,
+                            oldValue: oldValue,
+                            newValue: newValue,
+                            isFocused: isFocused,
+                            announced: !!announcement,
+                            announcement: announcement,
+                            ruleFailures: this.ruleEngine.check(element)
+                        }
+                    });
+                });
+            });
+
+            this.registerObserver(ariaObserver, {
+                attributes: true,
+                attributeOldValue: true,
+                subtree: true
+            });
+        }
+
+        /**
+         * Watch for focus landing on the body after the focused element disappears
+         */
+        setupFocusIssueDetection() {
+            this.focusIssueDetector.reset();
+
+            const focusListener = (e) => {
+                this.focusIssueDetector.recordFocus(e.composedPath()[0]);
+            };
+            this.addDocumentListener('focus', focusListener, true);
+
+            const focusLossObserver = new MutationObserver((mutations) => {
+                // Only changes to the focused element or its ancestors can take focus away
+                if (!this.focusIssueDetector.isAffectedBy(mutations)) return;
+
+                this.checkFocusLoss();
+
+                // Hiding a focused element only resets focus after the next style update
+                clearTimeout(this.focusLossTimeout);
+                this.focusLossTimeout = setTimeout(() => this.checkFocusLoss(), 100);
+            });
+
+            this.registerObserver(focusLossObserver, {
+                childList: true,
+                attributes: true,
+                attributeFilter: ['hidden', 'style', 'class'],
+                subtree: true
+            });
+        }
+
+        /**
+         * Keep the tab order overlay in step with the page while it is shown
+         */
+        setupTabOrderOverlay() {
+            const overlayObserver = new MutationObserver((mutations) => {
+                this.handleFocusOrderMutations(mutations);
+            });
+            this.focusOrderObserver = overlayObserver;
+
+            this.registerObserver(overlayObserver, {
+                childList: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: [
+                    'tabindex', 'disabled', 'hidden', 'inert', 'style', 'class',
+                    'aria-label', 'aria-labelledby', 'alt', 'title'
+                ],
+                subtree: true
+            });
+
+            // Badges are placed in page coordinates, so scrolled containers and layout changes move them
+            const layoutListener = () => {
+                if (this.tabOrderOverlay.isVisible) {
+                    this.scheduleOverlayRefresh();
+                }
+            };
+            this.addDocumentListener('scroll', layoutListener, true);
+            this.listenOn(window, 'resize', layoutListener);
+        }
+
+        /**
+         * Show or hide the tab order overlay, returning the number of tab stops drawn
+         */
+        setTabOrderOverlay(visible) {
+            if (!visible) {
+                clearTimeout(this.overlayTimeout);
+                this.tabOrderOverlay.hide();
+                return 0;
+            }
+
+            this.tabOrderOverlay.show();
+            return this.refreshTabOrderOverlay();
+        }
+
+        /**
+         * Redraw the overlay once the page settles
+         */
+        scheduleOverlayRefresh() {
+            clearTimeout(this.overlayTimeout);
+            this.overlayTimeout = setTimeout(() => this.refreshTabOrderOverlay(), 100);
+        }
+
+        /**
+         * Draw every tab stop with its problems marked
+         */
+        refreshTabOrderOverlay() {
+            const stops = this.getTabOrder().map(element => ({
+                element: element,
+                unnamed: !this.nameCalculator.computeName(element).name,
+                hidden: !this.isElementVisible(element),
+                positiveTabindex: element.tabIndex > 0
+            }));
+
+            this.tabOrderOverlay.draw(stops);
+            return stops.length;
+        }
+
+        /**
+         * Scroll an element into view, outline it briefly and keep it for DevTools inspect()
+         */
+        revealElement(element) {
+            element.scrollIntoView({ block: 'center', inline: 'nearest' });
+
+            // The panel calls inspect() on this from the content script context
+            window.accessibilityLoggerRevealedElement = element;
+
+            this.removeHighlight();
+            const box = FlatTree.getPageRect(element);
+            this.highlight = document.createElement('div');
+            this.highlight.setAttribute('data-accessibility-logger-highlight', '');
+            this.highlight.setAttribute('aria-hidden', 'true');
+            this.highlight.style.cssText = `position: absolute; left: ${box.left - 4}px; top: ${box.top - 4}px; ` +
+                `width: ${box.width + 8}px; height: ${box.height + 8}px; box-sizing: border-box; ` +
+                'border: 3px solid #d32f2f; border-radius: 4px; background: rgba(211, 47, 47, 0.12); ' +
+                'pointer-events: none; z-index: 2147483647;';
+            document.documentElement.appendChild(this.highlight);
+
+            this.highlightTimeout = setTimeout(() => this.removeHighlight(), 2000);
+        }
+
+        /**
+         * Remove the reveal highlight
+         */
+        removeHighlight() {
+            clearTimeout(this.highlightTimeout);
+            this.highlightTimeout = null;
+
+            if (this.highlight) {
+                this.highlight.remove();
+                this.highlight = null;
+            }
+        }
+
+        /**
+         * Report focus loss once it has happened
+         */
+        checkFocusLoss() {
+            const issue = this.focusIssueDetector.checkFocusLoss();
+            if (issue) {
+                this.reportIssue(issue);
+            }
+        }
+
+        /**
+         * Log a detected accessibility issue
+         */
+        reportIssue(issue) {
+            const { element, ...details } = issue;
+
+            this.queueOrSendEvent({
+                type: 'issue',
+                timestamp: Date.now(),
+                id: Date.now() + Math.random(),
+                speech: null,
+                element: this.getElementInfo(element),
+                details: details
+            });
+        }
+
+        /**
+         * Report boolean attributes as true when present
+         */
+        normalizeAttributeValue(attribute, value) {
+            if (['disabled', 'hidden'].includes(attribute)) {
+                return value === null ? null : 'true';
+            }
+            return value;
         }
 
         /**
@@ -325,8 +4053,6 @@
          */
         reinitialize() {
             this.cleanup();
-            this.isDevToolsReady = false;
-            this.eventQueue = [];
             this.observers = [];
             this.eventListeners = [];
             
@@ -337,58 +4063,407 @@
         }
 
         /**
-         * Process queued events when DevTools becomes ready
+         * Send events queued while the port was disconnected
          */
         processEventQueue() {
-            while (this.eventQueue.length > 0) {
+            while (this.eventPort && this.eventQueue.length > 0) {
                 const event = this.eventQueue.shift();
                 this.sendAccessibilityEvent(event);
             }
         }
 
         /**
-         * Monitor focus changes - only log if caused by Tab key
+         * Monitor focus changes and work out what caused each one
          */
         setupFocusMonitoring() {
             const focusListener = (e) => {
-                // Only log focus changes if the last key pressed was Tab
-                if (this.lastKeyPressed !== 'Tab') {
+                // Report the element inside any shadow root rather than its retargeted host
+                const element = e.composedPath()[0];
+
+                // Focus entering a same-origin frame is logged on the element inside it
+                if (FlatTree.getFrameDocument(element)) return;
+                this.focusedSince = { element: element, time: Date.now() };
+
+                // Switching back to the window refocuses the same element; nothing moved
+                if (this.isWindowBlurred && element === this.lastFocusedElement) {
+                    this.isWindowBlurred = false;
                     return;
                 }
+                this.isWindowBlurred = false;
 
-                const element = e.target;
-                
-                // Update text reader position based on focused element
-                this.textReader.findLineFromElement(element);
-                
-                const eventData = {
-                    type: 'focus',
-                    timestamp: Date.now(),
-                    id: Date.now() + Math.random(),
-                    element: this.getElementInfo(element),
-                    details: {
-                        triggeredByTab: true,
-                        focusable: element.tabIndex >= 0,
-                        visible: this.isElementVisible(element),
-                        hasAriaLabel: !!element.getAttribute('aria-label'),
-                        hasAriaLabelledby: !!element.getAttribute('aria-labelledby'),
-                        role: element.getAttribute('role')
+                this.logFocusChange(element, this.getFocusCause(element));
+            };
+            this.addDocumentListener('focus', focusListener, true);
+
+            const pointerListener = () => {
+                this.lastInput = { type: 'pointer', time: Date.now() };
+            };
+            this.addDocumentListener('pointerdown', pointerListener, true);
+            this.addDocumentListener('mousedown', pointerListener, true);
+
+            // Reported by focus-tracer.js, which wraps focus() in the page's own world
+            const focusCallListener = (e) => {
+                this.pendingFocusCall = { element: e.composedPath()[0], stack: e.detail || null };
+            };
+            this.addDocumentListener('accessibility-logger-focus-call', focusCallListener, true);
+
+            const windowBlurListener = (e) => {
+                if (e.target === window) {
+                    this.isWindowBlurred = true;
+                }
+            };
+            this.listenOn(window, 'blur', windowBlurListener);
+        }
+
+        /**
+         * Log focus leaving an element, with where it went and how long it was held
+         */
+        setupFocusOutMonitoring() {
+            const isFrame = (target) => ['iframe', 'frame'].includes(target.tagName.toLowerCase());
+
+            const focusOutListener = (e) => {
+                const element = e.composedPath()[0];
+
+                // Focus leaving a same-origin frame is logged on the element inside it
+                if (FlatTree.getFrameDocument(element)) return;
+
+                const heldFor = this.focusedSince && this.focusedSince.element === element
+                    ? Date.now() - this.focusedSince.time
+                    : null;
+
+                if (e.relatedTarget) {
+                    this.logFocusOut(element, e.relatedTarget, isFrame(e.relatedTarget) ? 'iframe' : 'element', heldFor);
+                    return;
+                }
+
+                // Without a related target, look at where focus settled once the move completes
+                clearTimeout(this.focusOutTimeout);
+                this.focusOutTimeout = setTimeout(() => {
+                    const activeElement = FlatTree.getDeepActiveElement();
+                    const isOnBody = !activeElement || activeElement === activeElement.ownerDocument.body;
+
+                    if (!isOnBody && activeElement !== element) {
+                        this.logFocusOut(element, activeElement, isFrame(activeElement) ? 'iframe' : 'element', heldFor);
+                    } else if (!document.hasFocus()) {
+                        this.logFocusOut(element, null, 'left-document', heldFor);
+                    } else {
+                        this.logFocusOut(element, null, 'nowhere', heldFor);
                     }
+                }, 0);
+            };
+
+            this.addDocumentListener('focusout', focusOutListener, true);
+        }
+
+        /**
+         * Log a blur event; destination is element, iframe, left-document or nowhere
+         */
+        logFocusOut(element, relatedTarget, destination, heldFor) {
+            this.queueOrSendEvent({
+                type: 'blur',
+                timestamp: Date.now(),
+                id: Date.now() + Math.random(),
+                speech: null,
+                element: this.getElementInfo(element),
+                details: {
+                    relatedTarget: this.getElementInfo(relatedTarget),
+                    destination: destination,
+                    heldFor: heldFor
+                }
+            });
+        }
+
+        /**
+         * Classify a focus change as keyboard-Tab, keyboard-other, pointer, programmatic or page-load
+         */
+        getFocusCause(element) {
+            const call = this.pendingFocusCall;
+            const input = this.lastInput;
+            const isRecentInput = input && !input.consumed && Date.now() - input.time < this.inputAttributionWindow;
+            const isLoading = !input && performance.now() < this.pageLoadWindow;
+            this.pendingFocusCall = null;
+
+            // A script calling focus() wins, even when it ran inside a key or click handler
+            if (call && call.element === element) {
+                return {
+                    cause: isLoading ? 'page-load' : 'programmatic',
+                    key: isRecentInput && input.type === 'keyboard' ? input.key : null,
+                    stack: call.stack
                 };
-                
-                this.queueOrSendEvent(eventData);
-                
-                // Reset the last key pressed after processing
-                this.lastKeyPressed = null;
+            }
+
+            if (isRecentInput) {
+                input.consumed = true;
+                if (input.type === 'pointer') {
+                    return { cause: 'pointer', key: null, stack: null };
+                }
+                return { cause: input.key === 'Tab' ? 'keyboard-Tab' : 'keyboard-other', key: input.key, stack: null };
+            }
+
+            // Autofocus, or a focus() call made before the tracer could report it
+            return { cause: isLoading ? 'page-load' : 'programmatic', key: null, stack: null };
+        }
+
+        /**
+         * Log a focus change with its cause
+         */
+        logFocusChange(element, focusCause) {
+            this.lastFocusedElement = element;
+
+            // NVDA plays the mode sound before announcing the newly focused control
+            this.logModeChange(this.modeStateMachine.handleFocus(element), element);
+            // Update text reader position based on focused element
+            this.textReader.findLineFromElement(element);
+            const tableEntry = this.tableNavigator.describeEntry(element);
+            
+            const eventData = {
+                type: 'focus',
+                timestamp: Date.now(),
+                id: Date.now() + Math.random(),
+                speech: this.withTableEntry(tableEntry, this.speechComposer.compose(element)),
+                element: this.getElementInfo(element),
+                details: {
+                    cause: focusCause.cause,
+                    key: focusCause.key,
+                    stack: focusCause.stack,
+                    triggeredByTab: focusCause.cause === 'keyboard-Tab',
+                    focusable: element.tabIndex >= 0,
+                    visible: this.isElementVisible(element),
+                    hasAriaLabel: !!element.getAttribute('aria-label'),
+                    hasAriaLabelledby: !!element.getAttribute('aria-labelledby'),
+                    role: element.getAttribute('role'),
+                    ruleFailures: this.ruleEngine.check(element)
+                }
             };
+            
+            this.queueOrSendEvent(eventData);
+            this.reportTableIssues(tableEntry);
 
-            document.addEventListener('focus', focusListener, true);
+            if (focusCause.cause === 'keyboard-Tab') {
+                this.focusIssueDetector.analyzeTabMove(this.tabOrigin, element, this.tabBackwards, this.getFocusableElements())
+                    .forEach(issue => this.reportIssue(issue));
+            }
             
-            this.eventListeners.push({ 
-                target: document, 
-                event: 'focus', 
-                listener: focusListener, 
-                options: true 
+            // Reset the last key pressed after processing
+            this.lastKeyPressed = null;
+            this.tabOrigin = null;
+        }
+
+        /**
+         * Replay a recorded session into the page, then report how it went
+         */
+        replaySession(session, callback) {
+            const steps = (session && session.steps) || [];
+            const divergences = [];
+            let index = 0;
+
+            this.isReplaying = true;
+            this.replayCallback = callback;
+            this.logReplayMarker('started', { steps: steps.length, recordedUrl: session && session.url });
+
+            // Start from the element that had focus when recording began
+            const startElement = this.sessionRecorder.resolveSelector(session && session.startTarget);
+            if (startElement) {
+                startElement.focus();
+            } else if (document.activeElement && document.activeElement !== document.body) {
+                document.activeElement.blur();
+            }
+
+            const finish = () => {
+                this.isReplaying = false;
+                this.replayTimeout = null;
+                this.replayCallback = null;
+
+                const result = { steps: steps.length, divergences: divergences };
+                this.logReplayMarker('finished', result);
+                callback({ success: true, ...result });
+            };
+
+            const runNext = () => {
+                if (!this.isReplaying) return;
+                if (index >= steps.length) {
+                    finish();
+                    return;
+                }
+
+                const step = steps[index++];
+
+                // Keep the recorded rhythm, but do not wait out long pauses
+                this.replayTimeout = setTimeout(() => {
+                    const divergence = this.replayStep(step);
+                    if (divergence) {
+                        divergences.push({ step: index, ...divergence });
+                    }
+                    runNext();
+                }, Math.min(step.delay || 0, 2000));
+            };
+
+            runNext();
+        }
+
+        /**
+         * Send one recorded key to the focused element and perform its default action
+         */
+        replayStep(step) {
+            // Keys go where focus is now, as they would from a real keyboard
+            const activeElement = FlatTree.getDeepActiveElement() || document.body;
+            const recordedTarget = this.sessionRecorder.resolveSelector(step.target);
+
+            const view = activeElement.ownerDocument.defaultView;
+            const init = {
+                key: step.key,
+                code: step.code,
+                shiftKey: step.shiftKey,
+                ctrlKey: step.ctrlKey,
+                altKey: step.altKey,
+                metaKey: step.metaKey,
+                bubbles: true,
+                cancelable: true,
+                composed: true
+            };
+
+            const notCancelled = activeElement.dispatchEvent(new view.KeyboardEvent('keydown', init));
+            if (notCancelled) {
+                this.performDefaultAction(step, activeElement);
+            }
+            activeElement.dispatchEvent(new view.KeyboardEvent('keyup', init));
+
+            // Report where the page no longer matches the recording
+            if (step.target && recordedTarget !== activeElement) {
+                return {
+                    key: step.key,
+                    expected: step.target,
+                    actual: activeElement === document.body ? null : this.sessionRecorder.getSelector(activeElement)
+                };
+            }
+            return null;
+        }
+
+        /**
+         * Do what the browser would for an uncancelled synthetic key
+         */
+        performDefaultAction(step, target) {
+            if (step.ctrlKey || step.altKey || step.metaKey) return;
+
+            if (step.key === 'Tab') {
+                this.moveFocusSequentially(step.shiftKey);
+                return;
+            }
+
+            // Only native controls activate from the keyboard without page script
+            const activatedByEnter = 'a[href], button, input[type="submit"], input[type="button"], input[type="reset"]';
+            const activatedBySpace = 'button, input[type="checkbox"], input[type="radio"], input[type="submit"], input[type="button"], input[type="reset"]';
+
+            if ((step.key === 'Enter' && target.matches(activatedByEnter)) ||
+                (step.key === ' ' && target.matches(activatedBySpace))) {
+                target.click();
+            }
+        }
+
+        /**
+         * Move focus to the next or previous element in sequential focus order
+         */
+        moveFocusSequentially(backwards) {
+            const order = this.getTabOrder();
+            const current = FlatTree.getDeepActiveElement();
+            const index = order.indexOf(current);
+
+            let next;
+            if (index === -1) {
+                next = backwards ? order[order.length - 1] : order[0];
+            } else {
+                next = order[index + (backwards ? -1 : 1)];
+            }
+
+            // Past either end focus leaves the page
+            if (!next) {
+                if (current && current !== document.body) current.blur();
+                return null;
+            }
+
+            next.focus();
+
+            // Without window focus the browser may not fire focus events, so log the move directly
+            if (this.lastKeyPressed === 'Tab' && FlatTree.getDeepActiveElement() === next) {
+                this.logFocusChange(next, { cause: 'keyboard-Tab', key: 'Tab', stack: null });
+            }
+
+            return next;
+        }
+
+        /**
+         * Focusable elements in sequential focus navigation order
+         */
+        getTabOrder() {
+            const focusable = this.getFocusableElements();
+
+            // Positive tabindex values come first in ascending order, ties in document order
+            const positive = focusable.filter(element => element.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex);
+            const natural = focusable.filter(element => element.tabIndex === 0);
+            return [...positive, ...natural];
+        }
+
+        /**
+         * Drop the cached focusable elements and redraw the overlay after changes that can alter the tab order
+         */
+        handleFocusOrderMutations(mutations) {
+            if (mutations.every(mutation => this.tabOrderOverlay.isOwnMutation(mutation))) return;
+
+            this.focusableElements = null;
+            if (this.tabOrderOverlay.isVisible) {
+                this.scheduleOverlayRefresh();
+            }
+        }
+
+        /**
+         * Elements reachable with Tab, in document order, cached until the page changes
+         */
+        getFocusableElements() {
+            // Changes made since the observer last ran make the cache stale too
+            const pending = this.focusOrderObserver ? this.focusOrderObserver.takeRecords() : [];
+            if (pending.length > 0) {
+                this.handleFocusOrderMutations(pending);
+            }
+
+            if (!this.focusableElements) {
+                this.focusableElements = this.findFocusableElements();
+            }
+            return this.focusableElements;
+        }
+
+        /**
+         * Walk the page for elements reachable with Tab, in document order
+         */
+        findFocusableElements() {
+            const focusable = [];
+            if (!document.body) return focusable;
+
+            FlatTree.walk(document.body, (node) => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return false;
+                if (node.hidden || node.hasAttribute('inert')) return false;
+                if (['script', 'style', 'noscript', 'template'].includes(node.tagName.toLowerCase())) return false;
+
+                const style = FlatTree.getComputedStyle(node);
+                if (style.display === 'none') return false;
+
+                if (node.tabIndex >= 0 && !node.disabled && style.visibility !== 'hidden') {
+                    focusable.push(node);
+                }
+            });
+
+            return focusable;
+        }
+
+        /**
+         * Log the start or end of a replay in the event stream
+         */
+        logReplayMarker(state, details) {
+            this.queueOrSendEvent({
+                type: 'replay',
+                timestamp: Date.now(),
+                id: Date.now() + Math.random(),
+                element: null,
+                details: { state: state, ...details }
             });
         }
 
@@ -397,73 +4472,88 @@
          */
         setupKeyboardMonitoring() {
             const keydownListener = (e) => {
+                const target = e.composedPath()[0];
+                this.lastInput = { type: 'keyboard', key: e.key, time: Date.now() };
+
+                // Replayed keys are synthetic and must not be recorded again
+                if (!this.isReplaying) {
+                    this.sessionRecorder.record(e, target);
+                }
+
+                // Insert+Space toggles browse and focus mode; Escape leaves focus mode
+                if (e.key === 'Insert') {
+                    this.isInsertHeld = true;
+                    return;
+                }
+                if (e.key === ' ' && this.isInsertHeld && this.isSimulatingKeys()) {
+                    e.preventDefault();
+                    this.logModeChange(this.modeStateMachine.toggle(FlatTree.getDeepActiveElement()), target);
+                    return;
+                }
+                if (e.key === 'Escape') {
+                    this.logModeChange(this.modeStateMachine.handleEscape(FlatTree.getDeepActiveElement()), target);
+                }
+
                 // Track Tab key for focus monitoring
                 if (e.key === 'Tab') {
                     this.lastKeyPressed = 'Tab';
+                    this.tabOrigin = FlatTree.getDeepActiveElement();
+                    this.tabBackwards = e.shiftKey;
                     // Don't log Tab key itself, only the resulting focus change
                     return;
                 }
 
-                // Only log arrow key presses
-                if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
-                    let textContent = null;
-                    let navigationDirection = null;
-
-                    // Enhanced arrow key handling with text content
-                    if (e.key === 'ArrowUp') {
-                        const previousText = this.textReader.getPreviousLineText();
-                        if (previousText) {
-                            textContent = `Previous line: "${previousText}"`;
-                            navigationDirection = 'previous';
-                        } else {
-                            textContent = 'Beginning of content reached';
-                            navigationDirection = 'previous';
-                        }
-                    } else if (e.key === 'ArrowDown') {
-                        const nextText = this.textReader.getNextLineText();
-                        if (nextText) {
-                            textContent = `Next line: "${nextText}"`;
-                            navigationDirection = 'next';
-                        } else {
-                            textContent = 'End of content reached';
-                            navigationDirection = 'next';
-                        }
-                    } else if (e.key === 'ArrowLeft') {
-                        const charText = this.textReader.getCharacterNavigation('previous');
-                        if (charText) {
-                            textContent = `Character navigation: "${charText}"`;
-                            navigationDirection = 'previous';
-                        } else {
-                            textContent = 'Beginning of line reached';
-                            navigationDirection = 'previous';
-                        }
-                    } else if (e.key === 'ArrowRight') {
-                        const charText = this.textReader.getCharacterNavigation('next');
-                        if (charText) {
-                            textContent = `Character navigation: "${charText}"`;
-                            navigationDirection = 'next';
-                        } else {
-                            textContent = 'End of line reached';
-                            navigationDirection = 'next';
-                        }
-                    }
+                // In focus mode the widget gets every key, so NVDA interprets nothing below
+                if (this.modeStateMachine.mode === 'focus') {
+                    this.lastKeyPressed = null;
+                    return;
+                }
+
+                // NVDA table navigation: Ctrl+Alt+Arrow moves between cells
+                if (this.tableNavigator.isTableNavKey(e) && this.isSimulatingKeys()) {
+                    this.logTableNavigation(e);
+                    this.lastKeyPressed = null;
+                    return;
+                }
+
+                // NVDA browse-mode quick navigation keys
+                if (this.virtualCursor.isQuickNavKey(e) && this.isSimulatingKeys() && !this.isEditableTarget(target)) {
+                    this.logQuickNavigation(e);
+                    this.lastKeyPressed = null;
+                    return;
+                }
+
+                // Log review cursor keys: arrows for lines, characters and words, Home/End within a line
+                if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) {
+                    const navigation = this.getReviewCursorNavigation(e);
+                    const line = this.textReader.textLines[this.textReader.currentLineIndex];
+                    const tableEntry = navigation.unit === 'line' && line
+                        ? this.tableNavigator.describeEntry(line.element)
+                        : null;
 
                     const eventData = {
                         type: 'keyboard',
                         timestamp: Date.now(),
                         id: Date.now() + Math.random(),
-                        element: this.getElementInfo(e.target),
+                        speech: this.withTableEntry(tableEntry, navigation.speech),
+                        element: this.getElementInfo(target),
                         details: {
                             key: e.key,
-                            isArrowKey: true,
-                            textContent: textContent,
-                            navigationDirection: navigationDirection,
+                            ctrlKey: e.ctrlKey,
+                            isArrowKey: e.key.startsWith('Arrow'),
+                            textContent: navigation.textContent,
+                            navigationDirection: navigation.direction,
+                            navigationUnit: navigation.unit,
                             currentLineIndex: this.textReader.currentLineIndex,
-                            totalLines: this.textReader.textLines.length
+                            totalLines: this.textReader.textLines.length,
+                            characterOffset: this.textReader.currentOffset,
+                            lineText: this.textReader.getCurrentLineText(),
+                            lineLength: (this.textReader.getCurrentLineText() || '').length
                         }
                     };
                     
                     this.queueOrSendEvent(eventData);
+                    this.reportTableIssues(tableEntry);
                 }
 
                 // Clear last key pressed for non-Tab keys to prevent false focus logging
@@ -472,20 +4562,217 @@
                 }
             };
 
-            document.addEventListener('keydown', keydownListener, true);
-            this.eventListeners.push({ 
-                target: document, 
-                event: 'keydown', 
-                listener: keydownListener, 
-                options: true 
+            this.addDocumentListener('keydown', keydownListener, true);
+
+            const keyupListener = (e) => {
+                if (e.key === 'Insert') {
+                    this.isInsertHeld = false;
+                }
+            };
+            this.addDocumentListener('keyup', keyupListener, true);
+
+            // The keyup is lost if Insert is released in another window
+            this.listenOn(window, 'blur', () => {
+                this.isInsertHeld = false;
+            });
+        }
+
+        /**
+         * Log a browse/focus mode switch with the sound NVDA plays for it
+         */
+        logModeChange(transition, element) {
+            if (!transition) return;
+
+            this.queueOrSendEvent({
+                type: 'mode-change',
+                timestamp: Date.now(),
+                id: Date.now() + Math.random(),
+                speech: null,
+                element: this.getElementInfo(element),
+                details: {
+                    mode: transition.mode,
+                    previousMode: transition.previousMode,
+                    trigger: transition.trigger,
+                    sound: transition.mode === 'focus' ? 'focusMode' : 'browseMode'
+                }
+            });
+        }
+
+        /**
+         * Move the TextReader review cursor for a navigation key and describe the result
+         */
+        getReviewCursorNavigation(e) {
+            const reader = this.textReader;
+
+            switch (e.key) {
+                case 'ArrowUp': {
+                    const previousText = reader.getPreviousLineText();
+                    return {
+                        unit: 'line',
+                        direction: 'previous',
+                        textContent: previousText ? `Previous line: "${previousText}"` : 'Beginning of content reached',
+                        speech: previousText || 'top'
+                    };
+                }
+                case 'ArrowDown': {
+                    const nextText = reader.getNextLineText();
+                    return {
+                        unit: 'line',
+                        direction: 'next',
+                        textContent: nextText ? `Next line: "${nextText}"` : 'End of content reached',
+                        speech: nextText || 'bottom'
+                    };
+                }
+                case 'ArrowLeft':
+                case 'ArrowRight': {
+                    const direction = e.key === 'ArrowRight' ? 'next' : 'previous';
+
+                    if (e.ctrlKey) {
+                        const word = reader.moveByWord(direction);
+                        return {
+                            unit: 'word',
+                            direction: direction,
+                            textContent: word ? `Word: "${word}"` : `${direction === 'next' ? 'End' : 'Beginning'} of content reached`,
+                            speech: word || (direction === 'next' ? 'bottom' : 'top')
+                        };
+                    }
+
+                    const character = reader.moveByCharacter(direction);
+                    return {
+                        unit: 'character',
+                        direction: direction,
+                        textContent: character !== null
+                            ? `Character: ${reader.getSpokenCharacter(character)}`
+                            : `${direction === 'next' ? 'End' : 'Beginning'} of content reached`,
+                        speech: character !== null
+                            ? reader.getSpokenCharacter(character)
+                            : (direction === 'next' ? 'bottom' : 'top')
+                    };
+                }
+                case 'Home':
+                case 'End': {
+                    const character = e.key === 'Home' ? reader.moveToLineStart() : reader.moveToLineEnd();
+                    return {
+                        unit: 'character',
+                        direction: e.key === 'Home' ? 'previous' : 'next',
+                        textContent: character !== null
+                            ? `${e.key === 'Home' ? 'Start' : 'End'} of line: ${reader.getSpokenCharacter(character)}`
+                            : 'Blank',
+                        speech: character !== null ? reader.getSpokenCharacter(character) : 'blank'
+                    };
+                }
+            }
+
+            return { unit: null, direction: null, textContent: null, speech: null };
+        }
+
+        /**
+         * Move the virtual cursor for a quick navigation key and log the announcement
+         */
+        logQuickNavigation(e) {
+            const result = this.virtualCursor.quickNavigate(e.code, e.shiftKey);
+            const tableEntry = result.found ? this.tableNavigator.describeEntry(result.element) : null;
+
+            this.queueOrSendEvent({
+                type: 'keyboard',
+                timestamp: Date.now(),
+                id: Date.now() + Math.random(),
+                speech: this.withTableEntry(tableEntry, result.announcement),
+                element: this.getElementInfo(result.element || e.composedPath()[0]),
+                details: {
+                    key: e.key,
+                    shiftKey: e.shiftKey,
+                    quickNavigation: true,
+                    category: result.category,
+                    found: result.found,
+                    announcement: result.announcement,
+                    textContent: result.announcement,
+                    navigationDirection: e.shiftKey ? 'previous' : 'next'
+                }
+            });
+            this.reportTableIssues(tableEntry);
+        }
+
+        /**
+         * Move between table cells for Ctrl+Alt+Arrow and log the announcement
+         */
+        logTableNavigation(e) {
+            e.preventDefault();
+
+            const result = this.tableNavigator.move(e.key);
+            const tableEntry = result.found ? this.tableNavigator.describeEntry(result.element) : null;
+            const speech = this.withTableEntry(tableEntry, result.announcement);
+
+            this.queueOrSendEvent({
+                type: 'keyboard',
+                timestamp: Date.now(),
+                id: Date.now() + Math.random(),
+                speech: speech,
+                element: this.getElementInfo(result.element || e.composedPath()[0]),
+                details: {
+                    key: e.key,
+                    ctrlKey: e.ctrlKey,
+                    altKey: e.altKey,
+                    tableNavigation: true,
+                    found: result.found,
+                    row: result.row,
+                    column: result.column,
+                    rowCount: result.rowCount,
+                    columnCount: result.columnCount,
+                    rowHeaders: result.rowHeaders,
+                    columnHeaders: result.columnHeaders,
+                    textContent: speech
+                }
             });
+            this.reportTableIssues(tableEntry);
+        }
+
+        /**
+         * Put "table with N rows and M columns" ahead of the speech when a table was entered
+         */
+        withTableEntry(tableEntry, speech) {
+            if (!tableEntry) return speech;
+            return speech ? `${tableEntry.announcement}, ${speech}` : tableEntry.announcement;
+        }
+
+        /**
+         * Report missing and merged headers the first time a table is entered
+         */
+        reportTableIssues(tableEntry) {
+            if (!tableEntry) return;
+
+            this.tableNavigator.checkHeaders(tableEntry.model)
+                .forEach(issue => this.reportIssue(issue));
+        }
+
+        /**
+         * Check if keys typed at a target belong to an editable control
+         */
+        isEditableTarget(target) {
+            if (!target || !target.tagName) return false;
+
+            const tagName = target.tagName.toLowerCase();
+            if (tagName === 'textarea' || tagName === 'select' || target.isContentEditable) {
+                return true;
+            }
+
+            if (tagName === 'input') {
+                const nonTextTypes = ['button', 'checkbox', 'radio', 'submit', 'reset', 'image', 'range', 'color', 'file'];
+                return !nonTextTypes.includes((target.type || 'text').toLowerCase());
+            }
+
+            return false;
         }
 
         /**
-         * Queue event if DevTools not ready, otherwise send immediately
+         * Stream the event to the background hub, queueing it while the port is down
          */
         queueOrSendEvent(eventData) {
-            if (this.isDevToolsReady) {
+            if (!this.eventPort) {
+                this.connectEventPort();
+            }
+
+            if (this.eventPort) {
                 this.sendAccessibilityEvent(eventData);
             } else {
                 this.eventQueue.push(eventData);
@@ -503,11 +4790,21 @@
         getElementInfo(element) {
             if (!element) return null;
 
+            const { name, source } = this.nameCalculator.computeName(element);
+
             return {
+                reference: this.elementReferences.getReference(element),
                 tagName: element.tagName?.toLowerCase(),
                 id: element.id,
-                className: element.className,
+                // SVG elements expose className as an SVGAnimatedString, which does not survive messaging
+                className: element.getAttribute('class'),
                 role: element.getAttribute('role'),
+                computedRole: this.nameCalculator.getRole(element),
+                accessibleName: name,
+                accessibleDescription: this.nameCalculator.computeDescription(element, source),
+                nameSource: source,
+                inShadowRoot: element.getRootNode() instanceof ShadowRoot,
+                inFrame: element.ownerDocument !== document,
                 ariaLabel: element.getAttribute('aria-label'),
                 ariaLabelledby: element.getAttribute('aria-labelledby'),
                 ariaDescribedby: element.getAttribute('aria-describedby'),
@@ -530,11 +4827,11 @@
         isElementVisible(element) {
             if (!element) return false;
             
-            const style = window.getComputedStyle(element);
+            const style = FlatTree.getComputedStyle(element);
             return style.display !== 'none' && 
                    style.visibility !== 'hidden' && 
                    style.opacity !== '0' &&
-                   element.offsetParent !== null;
+                   (element.offsetParent !== null || style.position === 'fixed');
         }
 
         /**
@@ -542,20 +4839,14 @@
          */
         sendAccessibilityEvent(eventData) {
             try {
-                if (chrome && chrome.runtime && chrome.runtime.sendMessage) {
-                    chrome.runtime.sendMessage({
-                        action: 'accessibility-event',
-                        data: eventData
-                    }, (response) => {
-                        if (chrome.runtime.lastError) {
-                            // Failed to send accessibility event
-                        }
-                    });
-                } else {
-                    this.eventQueue.push(eventData);
-                }
+                this.eventPort.postMessage({
+                    action: 'accessibility-event',
+                    data: eventData
+                });
             } catch (error) {
-                // Error sending accessibility event
+                // Port closed underneath us; keep the event for the next connection
+                this.eventPort = null;
+                this.eventQueue.push(eventData);
             }
         }
 
@@ -563,10 +4854,43 @@
          * Clean up all event listeners and observers
          */
         cleanup() {
-            // Clear connection check interval
-            if (this.connectionCheckInterval) {
-                clearInterval(this.connectionCheckInterval);
-                this.connectionCheckInterval = null;
+            if (this.focusLossTimeout) {
+                clearTimeout(this.focusLossTimeout);
+                this.focusLossTimeout = null;
+            }
+
+            if (this.focusOutTimeout) {
+                clearTimeout(this.focusOutTimeout);
+                this.focusOutTimeout = null;
+            }
+
+            // Take the tab order overlay off the page
+            if (this.overlayTimeout) {
+                clearTimeout(this.overlayTimeout);
+                this.overlayTimeout = null;
+            }
+            this.tabOrderOverlay.hide();
+            this.removeHighlight();
+            this.focusOrderObserver = null;
+            this.focusableElements = null;
+
+            // Stop a replay in progress and let the panel know it ended
+            if (this.replayTimeout) {
+                clearTimeout(this.replayTimeout);
+                this.replayTimeout = null;
+            }
+            this.isReplaying = false;
+
+            if (this.replayCallback) {
+                const callback = this.replayCallback;
+                this.replayCallback = null;
+                callback({ success: false, error: 'interrupted' });
+            }
+
+            // Close the event stream
+            if (this.eventPort) {
+                this.eventPort.disconnect();
+                this.eventPort = null;
             }
 
             // Disconnect all mutation observers
@@ -582,9 +4906,30 @@
                 }
             });
             this.eventListeners = [];
+
+            // Forget attached shadow roots and frame documents
+            if (this.pendingHostsTimeout) {
+                clearTimeout(this.pendingHostsTimeout);
+                this.pendingHostsTimeout = null;
+            }
+            this.observedRoots = [];
+            this.observerConfigs = [];
+            this.documentListeners = [];
+            this.pendingHosts.clear();
         }
     }
 
+    // Same-origin child frames are read and monitored from the top frame
+    if (isSameOriginChildFrame()) {
+        return;
+    }
+
+    // A re-injected copy would run a second monitor alongside the one already in this frame
+    if (window.accessibilityLoggerInjected) {
+        return;
+    }
+    window.accessibilityLoggerInjected = true;
+
     // Initialize monitor when script loads
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', initializeMonitor);
@@ -0,0 +1,50 @@
+/**
+ * Focus Call Tracer
+ * Runs in the page's own JavaScript world, where page scripts call focus(). Each call is
+ * reported to content.js with its stack trace through a DOM event, since the content
+ * script's isolated world cannot see the page's calls directly. The service worker injects
+ * it only while a DevTools panel is attached, and restores the original focus() on detach.
+ */
+(function() {
+    'use strict';
+
+    const tracedMarker = Symbol.for('accessibility-logger-traced-focus');
+
+    /**
+     * Wrap focus() on a prototype so every call announces itself before moving focus
+     */
+    function traceFocusCalls(prototype) {
+        if (!prototype || typeof prototype.focus !== 'function' || prototype.focus[tracedMarker]) {
+            return;
+        }
+
+        const originalFocus = prototype.focus;
+        const tracedFocus = function focus() {
+            try {
+                // Drop the "Error" line and this wrapper's own frame
+                const stack = (new Error().stack || '').split('\n').slice(2).join('\n');
+                this.dispatchEvent(new CustomEvent('accessibility-logger-focus-call', {
+                    detail: stack,
+                    bubbles: true,
+                    composed: true
+                }));
+            } catch (error) {
+                // Never let tracing break the page's own focus handling
+            }
+            return originalFocus.apply(this, arguments);
+        };
+        // The original is kept on the wrapper so it can be put back
+        tracedFocus[tracedMarker] = originalFocus;
+
+        Object.defineProperty(prototype, 'focus', {
+            value: tracedFocus,
+            writable: true,
+            configurable: true,
+            enumerable: true
+        });
+    }
+
+    traceFocusCalls(window.HTMLElement && window.HTMLElement.prototype);
+    traceFocusCalls(window.SVGElement && window.SVGElement.prototype);
+    traceFocusCalls(window.MathMLElement && window.MathMLElement.prototype);
+})();
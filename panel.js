@@ -3,15 +3,168 @@
  * Provides real-time logging of accessibility events with screen reader simulation
  */
 
+// Identifies exported logs and the version of their structure
+const LOG_FORMAT = 'accessibility-logger-log';
+const LOG_SCHEMA_VERSION = 1;
+
+/**
+ * Speech Output - reads announcements aloud through the Web Speech API
+ * Follows screen reader interruption rules and persists voice settings
+ */
+class SpeechOutput {
+    constructor() {
+        this.synth = window.speechSynthesis || null;
+        this.audioContext = null; // Created on the first mode switch sound
+        this.voices = [];
+        this.settings = {
+            enabled: false,
+            voiceURI: '',
+            rate: 1,
+            pitch: 1,
+            volume: 1
+        };
+    }
+
+    /**
+     * Check if the browser supports speech synthesis
+     */
+    isSupported() {
+        return !!this.synth && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    /**
+     * Load saved speech settings from storage
+     */
+    loadSettings(callback) {
+        chrome.storage.local.get(['speechSettings'], (result) => {
+            if (!chrome.runtime.lastError && result.speechSettings) {
+                this.settings = { ...this.settings, ...result.speechSettings };
+            }
+            callback(this.settings);
+        });
+    }
+
+    /**
+     * Update and persist speech settings
+     */
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        chrome.storage.local.set({ speechSettings: this.settings });
+
+        if (!this.settings.enabled) {
+            this.cancel();
+        }
+    }
+
+    /**
+     * Load available voices, calling back whenever the list changes
+     */
+    loadVoices(callback) {
+        if (!this.isSupported()) return;
+
+        const update = () => {
+            this.voices = this.synth.getVoices();
+            callback(this.voices);
+        };
+
+        update();
+        this.synth.addEventListener('voiceschanged', update);
+    }
+
+    /**
+     * Speak text, optionally interrupting speech that is still in progress
+     */
+    speak(text, options = {}) {
+        if (!this.settings.enabled || !this.isSupported() || !text) return;
+
+        if (options.interrupt) {
+            this.cancel();
+        }
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = this.voices.find(v => v.voiceURI === this.settings.voiceURI);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
+        utterance.rate = this.settings.rate;
+        utterance.pitch = this.settings.pitch;
+        utterance.volume = this.settings.volume;
+
+        this.synth.speak(utterance);
+    }
+
+    /**
+     * Play the short rising (focus mode) or falling (browse mode) tone NVDA uses for mode switches
+     */
+    playModeSound(mode) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!this.settings.enabled || !AudioContextClass) return;
+
+        if (!this.audioContext) {
+            this.audioContext = new AudioContextClass();
+        }
+
+        const context = this.audioContext;
+        const [startFrequency, endFrequency] = mode === 'focus' ? [440, 880] : [880, 440];
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+
+        oscillator.frequency.setValueAtTime(startFrequency, context.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(endFrequency, context.currentTime + 0.08);
+        gain.gain.setValueAtTime(0.2 * this.settings.volume, context.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.1);
+
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start();
+        oscillator.stop(context.currentTime + 0.1);
+    }
+
+    /**
+     * Stop current and pending speech
+     */
+    cancel() {
+        if (this.isSupported()) {
+            this.synth.cancel();
+        }
+    }
+}
+
 class AccessibilityLogger {
     constructor() {
         this.logEntries = [];
+        this.speech = new SpeechOutput();
         this.currentFocusIndex = -1;
         this.isLoggingEnabled = true;
         this.announcementQueue = [];
-        this.pollingInterval = null;
+        this.eventPort = null;
+        this.streamId = null;
+        this.lastSequence = 0;
         this.connectionEstablished = false;
         this.currentTabId = null;
+        this.isDestroyed = false;
+        this.filter = { types: new Set(), text: '', selector: {} };
+        this.selectedEntryIds = new Set();
+        this.importedLog = null;
+        this.liveEntries = null;
+        this.liveEntryIds = new Set(); // Ids of live entries, so duplicates are skipped without a scan
+        this.isRecording = false;
+        this.recordedSession = null;
+        this.isOverlayShown = false;
+
+        // Display names of every event type the content script sends
+        this.eventTypeNames = {
+            'focus': 'Focus Change',
+            'blur': 'Blur',
+            'aria-change': 'ARIA Update',
+            'keyboard': 'Key Press',
+            'live-region-update': 'Live Region',
+            'mutation': 'DOM Change',
+            'navigation': '🧭 Navigation',
+            'issue': '⚠ Issue',
+            'replay': '⏵ Replay',
+            'mode-change': 'Mode Switch'
+        };
         
         this.init();
     }
@@ -22,9 +175,16 @@ class AccessibilityLogger {
     init() {
         this.bindElements();
         this.setupEventListeners();
+        this.setupSpeechControls();
+        this.setupElementsList();
+        this.setupFilterBar();
+        this.setupExportDialog();
+        this.setupImport();
+        this.setupSessionRecording();
+        this.setupCompareView();
+        this.setupTabOrderOverlay();
         this.setupKeyboardNavigation();
         this.connectToContentScript();
-        this.startPollingForEvents();
         this.setupNavigationMonitoring();
         this.updateStatus();
     }
@@ -37,9 +197,47 @@ class AccessibilityLogger {
         this.clearLogButton = document.getElementById('clearLog');
         this.exportLogButton = document.getElementById('exportLog');
         this.enableLoggingCheckbox = document.getElementById('enableLogging');
+        this.simulateKeysCheckbox = document.getElementById('simulateKeys');
         this.navigationInfo = document.getElementById('navigationInfo');
         this.logCount = document.getElementById('logCount');
+        this.issueCount = document.getElementById('issueCount');
         this.connectionStatus = document.getElementById('connectionStatus');
+        this.enableSpeechCheckbox = document.getElementById('enableSpeech');
+        this.speechVoiceSelect = document.getElementById('speechVoice');
+        this.speechRateInput = document.getElementById('speechRate');
+        this.speechPitchInput = document.getElementById('speechPitch');
+        this.speechVolumeInput = document.getElementById('speechVolume');
+        this.openElementsListButton = document.getElementById('openElementsList');
+        this.elementsListDialog = document.getElementById('elementsListDialog');
+        this.elementsListTree = document.getElementById('elementsListTree');
+        this.elementsListFilter = document.getElementById('elementsListFilter');
+        this.elementsListMoveToButton = document.getElementById('elementsListMoveTo');
+        this.elementsListCloseButton = document.getElementById('elementsListClose');
+        this.filterTypeInputs = Array.from(document.querySelectorAll('input[name="filterType"]'));
+        this.filterTextInput = document.getElementById('filterText');
+        this.filterSelectorInput = document.getElementById('filterSelector');
+        this.exportDialog = document.getElementById('exportDialog');
+        this.exportSelectedLabel = document.getElementById('exportSelectedLabel');
+        this.exportConfirmButton = document.getElementById('exportConfirm');
+        this.exportCancelButton = document.getElementById('exportCancel');
+        this.importLogButton = document.getElementById('importLog');
+        this.importFileInput = document.getElementById('importFile');
+        this.importBanner = document.getElementById('importBanner');
+        this.importBannerText = document.getElementById('importBannerText');
+        this.returnToLiveButton = document.getElementById('returnToLive');
+        this.recordSessionButton = document.getElementById('recordSession');
+        this.replaySessionButton = document.getElementById('replaySession');
+        this.openCompareButton = document.getElementById('openCompare');
+        this.tabOrderOverlayButton = document.getElementById('tabOrderOverlay');
+        this.revealElementButton = document.getElementById('revealElement');
+        this.compareDialog = document.getElementById('compareDialog');
+        this.compareBeforeFile = document.getElementById('compareBeforeFile');
+        this.compareAfterFile = document.getElementById('compareAfterFile');
+        this.compareShowUnchanged = document.getElementById('compareShowUnchanged');
+        this.compareRunButton = document.getElementById('compareRun');
+        this.compareCloseButton = document.getElementById('compareClose');
+        this.compareSummary = document.getElementById('compareSummary');
+        this.compareResults = document.getElementById('compareResults');
     }
 
     /**
@@ -47,11 +245,18 @@ class AccessibilityLogger {
      */
     setupEventListeners() {
         this.clearLogButton.addEventListener('click', () => this.clearLog());
-        this.exportLogButton.addEventListener('click', () => this.exportLog());
+        this.revealElementButton.addEventListener('click', () => this.revealCurrentEntry());
+        this.exportLogButton.addEventListener('click', () => this.openExportDialog());
+        this.openElementsListButton.addEventListener('click', () => this.openElementsList());
         this.enableLoggingCheckbox.addEventListener('change', (e) => {
             this.isLoggingEnabled = e.target.checked;
             this.updateStatus();
         });
+        this.simulateKeysCheckbox.addEventListener('change', (e) => {
+            if (this.eventPort) {
+                this.eventPort.postMessage({ action: 'set-key-simulation', enabled: e.target.checked });
+            }
+        });
 
         // Handle panel lifecycle events
         window.addEventListener('message', (event) => {
@@ -62,582 +267,2119 @@ class AccessibilityLogger {
     }
 
     /**
-     * Monitor navigation changes to maintain connection
+     * Setup sound toggle and voice, rate, pitch and volume controls
      */
-    setupNavigationMonitoring() {
-        // Check for navigation changes periodically
-        let lastUrl = '';
-        const navigationCheckInterval = setInterval(() => {
-            chrome.devtools.inspectedWindow.eval(`window.location.href`, (result, isException) => {
-                if (!isException && result !== lastUrl) {
-                    if (lastUrl !== '') {
-                        this.handleNavigation(result);
-                    }
-                    lastUrl = result;
-                }
+    setupSpeechControls() {
+        if (!this.speech.isSupported()) {
+            this.enableSpeechCheckbox.disabled = true;
+            this.enableSpeechCheckbox.parentElement.title = 'Speech synthesis is not available';
+            return;
+        }
+
+        this.speech.loadSettings((settings) => {
+            this.enableSpeechCheckbox.checked = settings.enabled;
+            this.speechRateInput.value = settings.rate;
+            this.speechPitchInput.value = settings.pitch;
+            this.speechVolumeInput.value = settings.volume;
+            this.speech.loadVoices((voices) => this.populateVoiceOptions(voices));
+        });
+
+        this.enableSpeechCheckbox.addEventListener('change', (e) => {
+            this.speech.updateSettings({ enabled: e.target.checked });
+            this.announce(e.target.checked ? 'Sound on' : 'Sound off');
+        });
+
+        this.speechVoiceSelect.addEventListener('change', (e) => {
+            this.speech.updateSettings({ voiceURI: e.target.value });
+            this.speech.speak('Voice changed', { interrupt: true });
+        });
+
+        [
+            [this.speechRateInput, 'rate'],
+            [this.speechPitchInput, 'pitch'],
+            [this.speechVolumeInput, 'volume']
+        ].forEach(([input, setting]) => {
+            input.addEventListener('change', (e) => {
+                this.speech.updateSettings({ [setting]: parseFloat(e.target.value) });
+                this.speech.speak(`${setting} ${e.target.value}`, { interrupt: true });
             });
-        }, 1000); // Check every second
+        });
+    }
 
-        // Store interval for cleanup
-        this.navigationCheckInterval = navigationCheckInterval;
+    /**
+     * Fill the voice selector with available voices
+     */
+    populateVoiceOptions(voices) {
+        this.speechVoiceSelect.innerHTML = '';
+
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default voice';
+        this.speechVoiceSelect.appendChild(defaultOption);
+
+        voices.forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.voiceURI;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            this.speechVoiceSelect.appendChild(option);
+        });
+
+        this.speechVoiceSelect.value = this.speech.settings.voiceURI;
     }
 
     /**
-     * Handle navigation to maintain logging
+     * Setup the Elements List dialog (NVDA Insert+F7)
      */
-    handleNavigation(newUrl) {
-        // Don't clear existing logs on navigation - keep them for comparison
-        // But do add a navigation marker
-        this.addNavigationMarker(newUrl);
-        
-        // Re-establish connection after a short delay to allow page to load
-        setTimeout(() => {
-            this.reconnectAfterNavigation();
-        }, 1000);
+    setupElementsList() {
+        this.elementsListData = null;
+
+        document.querySelectorAll('input[name="elementsListType"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderElementsList());
+        });
+
+        this.elementsListFilter.addEventListener('input', () => this.renderElementsList());
+        this.elementsListMoveToButton.addEventListener('click', () => this.moveToElementsListItem());
+        this.elementsListCloseButton.addEventListener('click', () => this.elementsListDialog.close());
+
+        this.elementsListTree.addEventListener('keydown', (e) => this.handleElementsListKeydown(e));
+        this.elementsListTree.addEventListener('click', (e) => {
+            const item = e.target.closest('[role="treeitem"]');
+            if (item) this.focusElementsListItem(item);
+        });
+        this.elementsListTree.addEventListener('dblclick', () => this.moveToElementsListItem());
+
+        this.elementsListDialog.addEventListener('close', () => {
+            this.openElementsListButton.focus();
+        });
     }
 
     /**
-     * Add a navigation marker to the log
+     * Request the page inventory and open the Elements List
      */
-    addNavigationMarker(url) {
-        const navigationEvent = {
-            id: Date.now() + Math.random(),
-            type: 'navigation',
-            timestamp: Date.now(),
-            element: null,
-            details: {
-                url: url,
-                marker: true
+    openElementsList() {
+        this.requestFromContentScript({ action: 'get-elements-list' }, (response) => {
+            if (!response || !response.elements) {
+                this.announce('Elements list unavailable, page not connected');
+                return;
             }
-        };
-        
-        this.addLogEntry(navigationEvent);
+
+            this.elementsListData = response.elements;
+            this.elementsListFilter.value = '';
+            this.elementsListDialog.showModal();
+            this.renderElementsList();
+
+            const firstItem = this.elementsListTree.querySelector('[role="treeitem"]');
+            if (firstItem) {
+                this.focusElementsListItem(firstItem);
+            }
+        });
     }
 
     /**
-     * Reconnect to content script after navigation
+     * Render the selected element type, filtered by the filter text
      */
-    reconnectAfterNavigation() {
-        this.connectionEstablished = false;
-        this.connectToContentScript();
+    renderElementsList() {
+        if (!this.elementsListData) return;
+
+        const typeRadio = document.querySelector('input[name="elementsListType"]:checked');
+        const type = typeRadio.value;
+        const filter = this.elementsListFilter.value.trim().toLowerCase();
+        const items = this.filterElementsList(this.elementsListData[type] || [], filter);
+
+        this.elementsListTree.innerHTML = '';
+        this.elementsListTree.setAttribute('aria-label', typeRadio.parentElement.textContent.trim());
+
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'elements-list-empty';
+            empty.setAttribute('role', 'none');
+            empty.textContent = filter ? 'No matching items' : 'No items';
+            this.elementsListTree.appendChild(empty);
+        } else {
+            items.forEach(item => this.elementsListTree.appendChild(this.createElementsListNode(item, type, 1)));
+            this.elementsListTree.querySelector('[role="treeitem"]').tabIndex = 0;
+        }
+
+        const count = this.elementsListTree.querySelectorAll('[role="treeitem"]').length;
+        this.announce(`${typeRadio.parentElement.textContent.trim()}, ${count} item${count !== 1 ? 's' : ''}`);
     }
 
     /**
-     * Setup NVDA-like keyboard navigation
+     * Keep items that match the filter, and headings that contain matches
      */
-    setupKeyboardNavigation() {
-        document.addEventListener('keydown', (e) => {
-            switch(e.key) {
-                case 'Tab':
-                    if (!e.shiftKey && this.logEntriesContainer.contains(document.activeElement)) {
-                        this.navigateToNext();
-                        e.preventDefault();
-                    } else if (e.shiftKey && this.logEntriesContainer.contains(document.activeElement)) {
-                        this.navigateToPrevious();
-                        e.preventDefault();
-                    }
-                    break;
-                
-                case 'ArrowUp':
-                    if (this.logEntriesContainer.contains(document.activeElement)) {
-                        this.navigateByLine(-1);
-                        e.preventDefault();
-                    }
-                    break;
-                
-                case 'ArrowDown':
-                    if (this.logEntriesContainer.contains(document.activeElement)) {
-                        this.navigateByLine(1);
-                        e.preventDefault();
-                    }
-                    break;
-                
-                case 'Enter':
-                    if (this.logEntriesContainer.contains(document.activeElement)) {
-                        this.toggleEntryExpansion();
-                        e.preventDefault();
-                    }
-                    break;
-                
-                case 'Escape':
-                    this.closeCurrentDialog();
-                    break;
-                
-                case 'Home':
-                    if (this.logEntriesContainer.contains(document.activeElement)) {
-                        this.navigateToFirst();
-                        e.preventDefault();
-                    }
-                    break;
-                
-                case 'End':
-                    if (this.logEntriesContainer.contains(document.activeElement)) {
-                        this.navigateToLast();
-                        e.preventDefault();
-                    }
-                    break;
+    filterElementsList(items, filter) {
+        if (!filter) return items;
+
+        return items.reduce((result, item) => {
+            const children = this.filterElementsList(item.children || [], filter);
+            const matches = (item.name || '').toLowerCase().includes(filter);
+
+            if (matches || children.length > 0) {
+                result.push({ ...item, children: children });
             }
-        });
+            return result;
+        }, []);
+    }
 
-        // Handle focus events for announcements
-        this.logEntriesContainer.addEventListener('focus', () => {
-            this.announceNavigationState();
-        });
+    /**
+     * Create a tree item for an Elements List entry
+     */
+    createElementsListNode(item, type, level) {
+        const node = document.createElement('li');
+        node.setAttribute('role', 'treeitem');
+        node.setAttribute('aria-level', level);
+        node.setAttribute('data-element-id', item.id);
+        node.tabIndex = -1;
+
+        const label = document.createElement('span');
+        label.className = 'tree-label';
+        label.textContent = this.getElementsListLabel(item, type);
+        node.appendChild(label);
+
+        if (item.children && item.children.length > 0) {
+            node.setAttribute('aria-expanded', 'true');
+
+            const group = document.createElement('ul');
+            group.setAttribute('role', 'group');
+            item.children.forEach(child => group.appendChild(this.createElementsListNode(child, type, level + 1)));
+            node.appendChild(group);
+        }
+
+        return node;
     }
 
     /**
-     * Connect to content script for accessibility event monitoring
+     * Text shown for an Elements List entry, following NVDA's wording
      */
-    connectToContentScript() {
-        this.currentTabId = chrome.devtools.inspectedWindow.tabId;
-        
-        // Immediately send the devtools-ready signal
-        this.sendDevToolsReadySignal();
-        
-        // Also try after a short delay to ensure everything is loaded
-        setTimeout(() => {
-            if (!this.connectionEstablished) {
-                this.sendDevToolsReadySignal();
-            }
-        }, 500);
-        
-        // And periodically retry if connection isn't established
-        const connectionRetryInterval = setInterval(() => {
-            if (!this.connectionEstablished) {
-                this.sendDevToolsReadySignal();
-            } else {
-                clearInterval(connectionRetryInterval);
-            }
-        }, 3000); // Retry every 3 seconds
-        
-        // Store interval for cleanup
-        this.connectionRetryInterval = connectionRetryInterval;
-        
-        // Stop retrying after 30 seconds
-        setTimeout(() => {
-            if (this.connectionRetryInterval) {
-                clearInterval(this.connectionRetryInterval);
-                this.connectionRetryInterval = null;
-            }
-        }, 30000);
+    getElementsListLabel(item, type) {
+        const name = item.name || '';
+
+        switch (type) {
+            case 'headings':
+                return `${item.level} ${name || '(unlabeled heading)'}`;
+            case 'links':
+                return name || '(unlabeled link)';
+            case 'landmarks':
+                return name ? `${item.roleText} ${name}` : item.roleText;
+            default:
+                return `${name || '(unlabeled)'} ${item.roleText}`;
+        }
     }
 
     /**
-     * Send DevTools ready signal to background script
+     * Tree keyboard support: arrows, Home/End, expand/collapse and Enter to move
      */
-    sendDevToolsReadySignal() {
-        const tabId = chrome.devtools.inspectedWindow.tabId;
-        
-        chrome.runtime.sendMessage({
-            action: 'devtools-ready',
-            tabId: tabId
-        }, (response) => {
-            if (chrome.runtime.lastError) {
-                this.updateConnectionStatus(false);
-            } else {
-                this.connectionEstablished = true;
-                this.updateConnectionStatus(true);
-                
-                // Process any queued events in storage immediately
-                this.fetchEventsFromStorage();
-            }
-        });
+    handleElementsListKeydown(e) {
+        const current = e.target.closest('[role="treeitem"]');
+        if (!current) return;
+
+        const visibleItems = Array.from(this.elementsListTree.querySelectorAll('[role="treeitem"]'))
+            .filter(item => !item.parentElement.closest('[aria-expanded="false"]'));
+        const index = visibleItems.indexOf(current);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                if (index < visibleItems.length - 1) this.focusElementsListItem(visibleItems[index + 1]);
+                break;
+            case 'ArrowUp':
+                if (index > 0) this.focusElementsListItem(visibleItems[index - 1]);
+                break;
+            case 'Home':
+                this.focusElementsListItem(visibleItems[0]);
+                break;
+            case 'End':
+                this.focusElementsListItem(visibleItems[visibleItems.length - 1]);
+                break;
+            case 'ArrowRight':
+                if (current.getAttribute('aria-expanded') === 'false') {
+                    current.setAttribute('aria-expanded', 'true');
+                    this.announce('expanded');
+                }
+                break;
+            case 'ArrowLeft':
+                if (current.getAttribute('aria-expanded') === 'true') {
+                    current.setAttribute('aria-expanded', 'false');
+                    this.announce('collapsed');
+                } else {
+                    const parentItem = current.parentElement.closest('[role="treeitem"]');
+                    if (parentItem) this.focusElementsListItem(parentItem);
+                }
+                break;
+            case 'Enter':
+                this.moveToElementsListItem();
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
     }
 
     /**
-     * Start polling for events from chrome.storage
+     * Move roving focus within the Elements List tree
      */
-    startPollingForEvents() {
-        this.pollingInterval = setInterval(() => {
-            this.fetchEventsFromStorage();
-        }, 300); // Poll every 300ms for very responsive logging
+    focusElementsListItem(item) {
+        this.elementsListTree.querySelectorAll('[role="treeitem"]').forEach(node => {
+            node.tabIndex = -1;
+        });
+
+        item.tabIndex = 0;
+        item.focus();
+        this.announce(item.querySelector('.tree-label').textContent, { interrupt: true });
     }
 
     /**
-     * Fetch events from chrome.storage
+     * Move the page's virtual cursor and focus to the chosen element
      */
-    fetchEventsFromStorage() {
-        chrome.storage.local.get(['accessibilityEvents'], (result) => {
-            if (chrome.runtime.lastError) {
+    moveToElementsListItem() {
+        const item = this.elementsListTree.querySelector('[role="treeitem"][tabindex="0"]');
+        if (!item) return;
+
+        const elementId = parseInt(item.getAttribute('data-element-id'), 10);
+        this.requestFromContentScript({ action: 'move-to-element', elementId: elementId }, (response) => {
+            if (!response || !response.success) {
+                this.announce('Element is no longer on the page');
                 return;
             }
 
-            const events = result.accessibilityEvents || [];
-            
-            if (events.length > 0) {
-                const newEvents = events.filter(event => 
-                    !this.logEntries.some(existing => existing.id === event.id)
-                );
-
-                if (newEvents.length > 0) {
-                    newEvents.forEach(event => {
-                        this.addLogEntry(event);
-                    });
+            this.elementsListDialog.close();
+            this.announce(`Moved to ${response.announcement}`);
+        });
+    }
 
-                    // Mark events as processed
-                    this.markEventsAsProcessed(newEvents);
-                }
+    /**
+     * Send a request to the content script in the inspected page's top frame, or in another frame by id
+     */
+    requestFromContentScript(request, callback, frameId = 0) {
+        chrome.runtime.sendMessage({
+            action: 'content-request',
+            tabId: chrome.devtools.inspectedWindow.tabId,
+            frameId: frameId,
+            request: request
+        }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                callback(null);
+                return;
             }
+            callback(response.data);
         });
     }
 
     /**
-     * Mark events as processed to avoid re-processing
+     * Setup event-type toggles, text search and element selector filtering
      */
-    markEventsAsProcessed(processedEvents) {
-        chrome.storage.local.get(['accessibilityEvents'], (result) => {
-            if (chrome.runtime.lastError) return;
-            
-            const allEvents = result.accessibilityEvents || [];
-            const processedIds = new Set(processedEvents.map(e => e.id));
-            
-            // Remove processed events from storage
-            const remainingEvents = allEvents.filter(event => !processedIds.has(event.id));
-            
-            chrome.storage.local.set({ accessibilityEvents: remainingEvents });
+    setupFilterBar() {
+        // Event types without a toggle are always shown
+        this.filterableTypes = this.filterTypeInputs.map(input => input.value);
+
+        this.filterTypeInputs.forEach(input => {
+            input.addEventListener('change', () => this.updateFilter());
         });
+        this.filterTextInput.addEventListener('input', () => this.updateFilter());
+        this.filterSelectorInput.addEventListener('input', () => this.updateFilter());
+
+        this.filter.types = new Set(this.filterableTypes.filter((type, index) => this.filterTypeInputs[index].checked));
     }
 
     /**
-     * Add accessibility event to log
+     * Read the filter controls and re-filter the log
      */
-    addLogEntry(eventData) {
-        if (!this.isLoggingEnabled) return;
-
-        const entry = {
-            id: eventData.id || (Date.now() + Math.random()),
-            ...eventData,
-            expanded: false
+    updateFilter() {
+        const selector = this.parseElementSelector(this.filterSelectorInput.value);
+        this.filterSelectorInput.setAttribute('aria-invalid', String(selector === null));
+
+        this.filter = {
+            types: new Set(this.filterTypeInputs.filter(input => input.checked).map(input => input.value)),
+            text: this.filterTextInput.value.trim().toLowerCase(),
+            // An unfinished selector filters nothing until it parses
+            selector: selector || {}
         };
 
-        // Check if entry already exists
-        if (this.logEntries.some(existing => existing.id === entry.id)) {
-            return;
-        }
-
-        this.logEntries.unshift(entry); // Add to beginning for latest-first order
-        this.renderLogEntry(entry);
-        this.updateLogCount();
-        
-        // Auto-scroll to new entry
-        if (this.logEntriesContainer.children.length > 0) {
-            this.logEntriesContainer.children[0].scrollIntoView({ behavior: 'smooth' });
-        }
+        this.applyFilter();
+    }
+
+    /**
+     * Parse a tag#id[role=name] selector; any part may be omitted
+     */
+    parseElementSelector(value) {
+        const trimmed = value.trim();
+        if (!trimmed) return {};
+
+        const match = trimmed.match(/^([a-z][\w-]*)?(?:#([\w-]+))?(?:\[role=["']?([\w-]+)["']?\])?$/i);
+        if (!match) return null;
+
+        return {
+            tagName: match[1] ? match[1].toLowerCase() : null,
+            id: match[2] || null,
+            role: match[3] ? match[3].toLowerCase() : null
+        };
+    }
+
+    /**
+     * Show or hide every rendered entry for the current filter and announce the result
+     */
+    applyFilter() {
+        const entriesById = new Map(this.logEntries.map(entry => [String(entry.id), entry]));
+
+        Array.from(this.logEntriesContainer.children).forEach(entryElement => {
+            const entry = entriesById.get(entryElement.getAttribute('data-entry-id'));
+            entryElement.hidden = !!entry && !this.matchesFilter(entry);
+        });
+
+        // Keep the current entry if it is still shown
+        const focused = this.logEntriesContainer.querySelector('.log-entry.focused');
+        this.currentFocusIndex = this.getVisibleEntries().indexOf(focused);
+
+        this.updateLogCount();
+        this.announce(`Showing ${this.getVisibleEntries().length} of ${this.logEntries.length} events`, { interrupt: true });
+    }
+
+    /**
+     * Check a log entry against the event-type, selector and text filters
+     */
+    matchesFilter(entry) {
+        if (this.filterableTypes && this.filterableTypes.includes(entry.type) && !this.filter.types.has(entry.type)) {
+            return false;
+        }
+
+        const { tagName, id, role } = this.filter.selector;
+        const element = entry.element || {};
+        if (tagName && element.tagName !== tagName) return false;
+        if (id && element.id !== id) return false;
+        if (role && element.computedRole !== role && element.role !== role) return false;
+
+        if (this.filter.text) {
+            const searchable = [
+                entry.speech,
+                this.formatEventType(entry.type),
+                JSON.stringify(entry.element || {}),
+                JSON.stringify(entry.details || {})
+            ].join(' ').toLowerCase();
+
+            if (!searchable.includes(this.filter.text)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether any filter hides events
+     */
+    isFilterActive() {
+        const { tagName, id, role } = this.filter.selector;
+        return !!(this.filterableTypes && this.filter.types.size < this.filterableTypes.length) ||
+               !!this.filter.text || !!(tagName || id || role);
+    }
+
+    /**
+     * Rendered log entries not hidden by the filter
+     */
+    getVisibleEntries() {
+        return Array.from(this.logEntriesContainer.children).filter(entryElement => !entryElement.hidden);
+    }
+
+    /**
+     * Setup Record and Replay of keyboard sessions, restoring the last recording
+     */
+    setupSessionRecording() {
+        this.recordSessionButton.addEventListener('click', () => {
+            if (this.isRecording) {
+                this.stopRecording();
+            } else {
+                this.startRecording();
+            }
+        });
+        this.replaySessionButton.addEventListener('click', () => this.replayRecordedSession());
+
+        chrome.storage.local.get(['recordedSession'], (result) => {
+            if (!chrome.runtime.lastError && result.recordedSession) {
+                this.recordedSession = result.recordedSession;
+                this.replaySessionButton.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Ask the page to start recording keys
+     */
+    startRecording() {
+        this.requestFromContentScript({ action: 'start-recording' }, (response) => {
+            if (!response || !response.success) {
+                this.announce('Recording unavailable, page not connected');
+                return;
+            }
+
+            this.isRecording = true;
+            this.recordSessionButton.setAttribute('aria-pressed', 'true');
+            this.recordSessionButton.textContent = 'Stop';
+            this.replaySessionButton.disabled = true;
+            this.announce('Recording keyboard session');
+        });
+    }
+
+    /**
+     * Stop recording and keep the session for replay
+     */
+    stopRecording() {
+        this.requestFromContentScript({ action: 'stop-recording' }, (response) => {
+            this.isRecording = false;
+            this.recordSessionButton.setAttribute('aria-pressed', 'false');
+            this.recordSessionButton.textContent = 'Record';
+
+            if (!response || !response.success) {
+                this.replaySessionButton.disabled = !this.recordedSession;
+                this.announce('Recording was interrupted, the page reloaded or disconnected');
+                return;
+            }
+
+            this.recordedSession = response.session;
+            chrome.storage.local.set({ recordedSession: this.recordedSession });
+            this.replaySessionButton.disabled = false;
+
+            const count = this.recordedSession.steps.length;
+            this.announce(`Recorded ${count} key${count !== 1 ? 's' : ''}`);
+        });
+    }
+
+    /**
+     * Replay the recorded session into the inspected page
+     */
+    replayRecordedSession() {
+        if (!this.recordedSession) return;
+
+        this.replaySessionButton.disabled = true;
+        this.recordSessionButton.disabled = true;
+        this.announce('Replaying keyboard session');
+
+        this.requestFromContentScript({ action: 'replay-session', session: this.recordedSession }, (response) => {
+            this.replaySessionButton.disabled = false;
+            this.recordSessionButton.disabled = false;
+
+            if (response && response.error === 'interrupted') {
+                this.announce('Replay stopped, the page navigated');
+                return;
+            }
+
+            if (!response || !response.success) {
+                this.announce('Replay failed, page not connected or busy');
+                return;
+            }
+
+            const count = response.divergences.length;
+            this.announce(count > 0
+                ? `Replay finished, focus differed from the recording at ${count} step${count !== 1 ? 's' : ''}`
+                : 'Replay finished, focus matched the recording');
+        });
+    }
+
+    /**
+     * Setup the toggle for the tab order overlay on the inspected page
+     */
+    setupTabOrderOverlay() {
+        this.tabOrderOverlayButton.addEventListener('click', () => {
+            this.showTabOrderOverlay(!this.isOverlayShown);
+        });
+    }
+
+    /**
+     * Ask the page to draw or remove the tab order overlay
+     */
+    showTabOrderOverlay(visible) {
+        this.requestFromContentScript({ action: 'toggle-tab-order-overlay', visible: visible }, (response) => {
+            this.isOverlayShown = !!(response && response.visible);
+            this.tabOrderOverlayButton.setAttribute('aria-pressed', String(this.isOverlayShown));
+
+            if (!response) {
+                this.announce('Tab order overlay unavailable, page not connected');
+                return;
+            }
+
+            this.announce(this.isOverlayShown
+                ? `Tab order overlay shown, ${response.stops} tab stop${response.stops !== 1 ? 's' : ''}`
+                : 'Tab order overlay hidden');
+        });
+    }
+
+    /**
+     * Monitor navigation changes to maintain connection
+     */
+    setupNavigationMonitoring() {
+        // Check for navigation changes periodically
+        let lastUrl = '';
+        const navigationCheckInterval = setInterval(() => {
+            chrome.devtools.inspectedWindow.eval(`window.location.href`, (result, isException) => {
+                if (!isException && result !== lastUrl) {
+                    if (lastUrl !== '') {
+                        this.handleNavigation(result);
+                    }
+                    lastUrl = result;
+                }
+            });
+        }, 1000); // Check every second
+
+        // Store interval for cleanup
+        this.navigationCheckInterval = navigationCheckInterval;
+    }
+
+    /**
+     * Handle navigation to maintain logging
+     */
+    handleNavigation(newUrl) {
+        // Don't clear existing logs on navigation - keep them for comparison
+        // But do add a navigation marker
+        this.addNavigationMarker(newUrl);
+
+        // The event stream outlives the page, so only reconnect if it dropped
+        if (!this.eventPort) {
+            this.connectToContentScript();
+        }
+
+        // The new page starts without the overlay
+        if (this.isOverlayShown) {
+            this.showTabOrderOverlay(true);
+        }
+    }
+
+    /**
+     * Add a navigation marker to the log
+     */
+    addNavigationMarker(url) {
+        const navigationEvent = {
+            id: Date.now() + Math.random(),
+            type: 'navigation',
+            timestamp: Date.now(),
+            element: null,
+            details: {
+                url: url,
+                marker: true
+            }
+        };
+        
+        this.addLogEntry(navigationEvent);
+    }
+
+    /**
+     * Setup NVDA-like keyboard navigation
+     */
+    setupKeyboardNavigation() {
+        document.addEventListener('keydown', (e) => {
+            switch(e.key) {
+                case 'Tab':
+                    if (!e.shiftKey && this.logEntriesContainer.contains(document.activeElement)) {
+                        this.navigateToNext();
+                        e.preventDefault();
+                    } else if (e.shiftKey && this.logEntriesContainer.contains(document.activeElement)) {
+                        this.navigateToPrevious();
+                        e.preventDefault();
+                    }
+                    break;
+                
+                case 'ArrowUp':
+                    if (this.logEntriesContainer.contains(document.activeElement)) {
+                        this.navigateByLine(-1);
+                        e.preventDefault();
+                    }
+                    break;
+                
+                case 'ArrowDown':
+                    if (this.logEntriesContainer.contains(document.activeElement)) {
+                        this.navigateByLine(1);
+                        e.preventDefault();
+                    }
+                    break;
+                
+                case 'Enter':
+                    if (this.logEntriesContainer.contains(document.activeElement)) {
+                        this.toggleEntryExpansion();
+                        e.preventDefault();
+                    }
+                    break;
+                
+                case ' ':
+                    if (this.logEntriesContainer.contains(document.activeElement) &&
+                        document.activeElement !== this.logEntriesContainer) {
+                        this.toggleEntrySelection(document.activeElement);
+                        e.preventDefault();
+                    }
+                    break;
+
+                case 'r':
+                case 'R':
+                    if (this.logEntriesContainer.contains(document.activeElement) &&
+                        !e.ctrlKey && !e.altKey && !e.metaKey) {
+                        this.revealCurrentEntry();
+                        e.preventDefault();
+                    }
+                    break;
+
+                case 'Escape':
+                    this.closeCurrentDialog();
+                    break;
+                
+                case 'Home':
+                    if (this.logEntriesContainer.contains(document.activeElement)) {
+                        this.navigateToFirst();
+                        e.preventDefault();
+                    }
+                    break;
+                
+                case 'End':
+                    if (this.logEntriesContainer.contains(document.activeElement)) {
+                        this.navigateToLast();
+                        e.preventDefault();
+                    }
+                    break;
+            }
+        });
+
+        // Handle focus events for announcements
+        this.logEntriesContainer.addEventListener('focus', () => {
+            this.announceNavigationState();
+        });
+    }
+
+    /**
+     * Subscribe to the inspected tab's event stream in the background hub
+     */
+    connectToContentScript() {
+        this.currentTabId = chrome.devtools.inspectedWindow.tabId;
+        if (this.eventPort) return;
+
+        this.eventPort = chrome.runtime.connect({ name: 'devtools-panel' });
+
+        this.eventPort.onMessage.addListener((message) => {
+            this.handleStreamMessage(message);
+        });
+
+        this.eventPort.onDisconnect.addListener(() => {
+            this.eventPort = null;
+            this.connectionEstablished = false;
+            this.updateConnectionStatus(false);
+
+            // The service worker may have been stopped; resubscribe from the last event received
+            if (!this.isDestroyed) {
+                this.reconnectTimeout = setTimeout(() => this.connectToContentScript(), 1000);
+            }
+        });
+
+        // The hub replays anything buffered after lastSequence
+        this.eventPort.postMessage({
+            action: 'subscribe',
+            tabId: this.currentTabId,
+            streamId: this.streamId,
+            lastSequence: this.lastSequence,
+            simulateKeys: this.simulateKeysCheckbox.checked
+        });
+    }
+
+    /**
+     * Handle messages from the background hub
+     */
+    handleStreamMessage(message) {
+        if (message.action === 'subscribed') {
+            // A restarted service worker numbers events from the beginning again
+            if (message.streamId !== this.streamId) {
+                this.streamId = message.streamId;
+                this.lastSequence = 0;
+            }
+
+            this.connectionEstablished = true;
+            this.updateConnectionStatus(true);
+            return;
+        }
+
+        if (message.action === 'events') {
+            message.events.forEach(event => {
+                // Skip anything already received before a reconnect
+                if (event.sequence <= this.lastSequence) return;
+
+                try {
+                    this.addLogEntry(event);
+                } catch (error) {
+                    // An event that fails to render must not stall the rest of the stream
+                }
+                this.lastSequence = event.sequence;
+            });
+
+            // Acknowledge the batch so the hub sends the next one
+            if (this.eventPort) {
+                this.eventPort.postMessage({ action: 'ack', sequence: this.lastSequence });
+            }
+        }
+    }
+
+    /**
+     * Add accessibility event to log
+     */
+    addLogEntry(eventData) {
+        if (!this.isLoggingEnabled) return;
+
+        const entry = {
+            id: eventData.id || (Date.now() + Math.random()),
+            ...eventData,
+            expanded: false
+        };
+
+        // Check if entry already exists
+        if (this.liveEntryIds.has(entry.id)) {
+            return;
+        }
+        this.liveEntryIds.add(entry.id);
+
+        // Keep receiving live events while an imported log is shown, without displaying them
+        if (this.importedLog) {
+            this.liveEntries.unshift(entry);
+            return;
+        }
+
+        this.logEntries.unshift(entry); // Add to beginning for latest-first order
+        this.renderLogEntry(entry);
+        this.updateLogCount();
+        this.speakEvent(entry);
+        
+        // Auto-scroll to new entry
+        if (this.logEntriesContainer.children.length > 0) {
+            this.logEntriesContainer.children[0].scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Read an incoming page event aloud, interrupting speech on focus changes
+     */
+    speakEvent(entry) {
+        let text;
+
+        // NVDA signals mode switches with a sound instead of speech
+        if (entry.type === 'mode-change') {
+            this.speech.playModeSound(entry.details?.mode);
+            return;
+        }
+
+        // Events from the content script carry the utterance a screen reader would speak
+        if (entry.speech !== undefined) {
+            text = entry.speech;
+        } else {
+            switch (entry.type) {
+                case 'focus':
+                    text = [
+                        entry.element?.accessibleName,
+                        entry.element?.computedRole,
+                        entry.element?.accessibleDescription
+                    ].filter(Boolean).join(', ');
+                    break;
+                case 'navigation':
+                    text = `Navigated to ${entry.details?.url || 'new page'}`;
+                    break;
+                case 'live-region-update':
+                    text = entry.details?.announcement || entry.details?.addedContent;
+                    break;
+                case 'aria-change':
+                    // Only changes a screen reader would announce are spoken
+                    text = entry.details?.announced ? entry.details.announcement : null;
+                    break;
+                default:
+                    text = this.formatDetails(entry);
+            }
+        }
+
+        // Focus changes and assertive live regions cut off speech in progress
+        const interrupt = entry.type === 'focus' ||
+            (entry.type === 'live-region-update' && entry.details?.politeness === 'assertive');
+        this.speech.speak(text, { interrupt: interrupt });
     }
 
     /**
      * Render a single log entry
      */
-    renderLogEntry(entry) {
-        const entryElement = document.createElement('div');
-        entryElement.className = 'log-entry new-entry';
-        entryElement.tabIndex = 0;
-        entryElement.setAttribute('data-entry-id', entry.id);
-        entryElement.setAttribute('role', 'option');
+    renderLogEntry(entry) {
+        const entryElement = document.createElement('div');
+        entryElement.className = 'log-entry new-entry';
+        entryElement.tabIndex = 0;
+        entryElement.setAttribute('data-entry-id', entry.id);
+        entryElement.setAttribute('role', 'option');
+        entryElement.setAttribute('aria-selected', 'false');
+        
+        const time = new Date(entry.timestamp).toLocaleTimeString();
+        const elementInfo = this.getElementDisplayInfo(entry.element) + this.formatElementState(entry);
+        
+        // Special styling for navigation markers
+        if (entry.type === 'navigation') {
+            entryElement.classList.add('navigation-marker');
+        }
+
+        // Issues stand out from the announcements around them
+        if (entry.type === 'issue') {
+            entryElement.classList.add('issue-entry');
+        } else if (this.getRuleFailures(entry).length > 0) {
+            entryElement.classList.add('has-failures');
+        }
+
+        entryElement.hidden = !this.matchesFilter(entry);
+        
+        entryElement.innerHTML = `
+            <div class="entry-time">${time}</div>
+            <div class="entry-speech">${this.escapeHtml(entry.speech || '')}</div>
+            <div class="entry-event ${this.escapeHtml(entry.type)}">${this.escapeHtml(this.formatEventType(entry.type))}</div>
+            <div class="entry-element${entry.elementState === 'gone' ? ' element-gone' : ''}">${this.escapeHtml(elementInfo)}</div>
+            <div class="entry-details">${this.escapeHtml(this.formatDetails(entry) + this.formatRuleFailures(entry))}</div>
+        `;
+
+        // Add click handler for expansion
+        entryElement.addEventListener('click', () => {
+            this.focusLogEntry(entryElement);
+            this.toggleEntryExpansion();
+        });
+
+        // Insert at the beginning
+        this.logEntriesContainer.insertBefore(entryElement, this.logEntriesContainer.firstChild);
+
+        // Remove new-entry class after animation
+        setTimeout(() => {
+            entryElement.classList.remove('new-entry');
+        }, 1000);
+    }
+
+    /**
+     * Get display info for element
+     */
+    getElementDisplayInfo(element) {
+        if (!element) return 'unknown';
+        
+        let info = element.tagName || 'unknown';
+        
+        if (element.id) {
+            info += `#${element.id}`;
+        } else if (typeof element.className === 'string') {
+            const firstClass = element.className.trim().split(/\s+/)[0];
+            if (firstClass) {
+                info += `.${firstClass}`;
+            }
+        }
+        
+        return info;
+    }
+
+    /**
+     * Describe where focus went when an element lost it
+     */
+    formatFocusOut(details) {
+        if (!details || !details.destination) return 'Element lost focus';
+
+        const held = typeof details.heldFor === 'number' ? ` after ${(details.heldFor / 1000).toFixed(1)}s` : '';
+        switch (details.destination) {
+            case 'element':
+                return `Focus moved to ${this.getElementDisplayInfo(details.relatedTarget)}${held}`;
+            case 'iframe':
+                return `Focus went into an iframe${held}`;
+            case 'left-document':
+                return `Focus left the document${held}`;
+            default:
+                return `Focus went nowhere, fell back to the page body${held}`;
+        }
+    }
+
+    /**
+     * Describe what moved focus
+     */
+    formatFocusCause(details) {
+        switch (details.cause) {
+            case 'keyboard-Tab':
+                return 'Tab';
+            case 'keyboard-other':
+                return `${details.key} key`;
+            case 'pointer':
+                return 'pointer';
+            case 'page-load':
+                return 'page load';
+            case 'programmatic':
+                return details.key ? `script, during ${details.key} key` : 'script';
+            default:
+                return details.cause;
+        }
+    }
+
+    /**
+     * Rule failures attached to a focus or state change event
+     */
+    getRuleFailures(entry) {
+        return (entry.details && Array.isArray(entry.details.ruleFailures)) ? entry.details.ruleFailures : [];
+    }
+
+    /**
+     * Summarize rule failures after an entry's details
+     */
+    formatRuleFailures(entry) {
+        const failures = this.getRuleFailures(entry);
+        if (failures.length === 0) return '';
+
+        const rules = failures.map(failure => `${failure.ruleId} (WCAG ${failure.wcag})`).join(', ');
+        return ` ⚠ ${failures.length} rule failure${failures.length !== 1 ? 's' : ''}: ${rules}`;
+    }
+
+    /**
+     * Format event type for display
+     */
+    formatEventType(type) {
+        return this.isKnownEventType(type) ? this.eventTypeNames[type] : type;
+    }
+
+    /**
+     * Check if a type is one the content script sends
+     */
+    isKnownEventType(type) {
+        return Object.prototype.hasOwnProperty.call(this.eventTypeNames, type);
+    }
+
+    /**
+     * Format event details for display
+     */
+    formatDetails(entry) {
+        if (!entry.element && !entry.details) return 'No details';
+        
+        switch (entry.type) {
+            case 'navigation':
+                return `Navigated to: ${entry.details?.url || 'unknown URL'}`;
+            case 'focus':
+                const focusedName = this.formatAccessibleName(entry.element) ||
+                       entry.element?.ariaLabel || 
+                       entry.element?.textContent?.substring(0, 50) || 
+                       (entry.element?.value != null ? String(entry.element.value).substring(0, 50) : '') ||
+                       'Focusable element';
+                return entry.details?.cause
+                    ? `${focusedName} (${this.formatFocusCause(entry.details)})`
+                    : focusedName;
+            case 'blur':
+                return this.formatFocusOut(entry.details);
+            case 'mode-change':
+                const triggers = { focus: 'focus change', manual: 'Insert+Space', escape: 'Escape' };
+                return `${entry.details?.mode === 'focus' ? 'Focus' : 'Browse'} mode ` +
+                       `(${triggers[entry.details?.trigger] || entry.details?.trigger}, ${entry.details?.sound} sound)`;
+            case 'aria-change':
+                const change = `${entry.details?.attribute}: ${entry.details?.oldValue ?? 'null'} → ${entry.details?.newValue ?? 'null'}`;
+                return entry.details?.announced
+                    ? `${change} (announced: "${entry.details.announcement}")`
+                    : change;
+            case 'keyboard':
+                const key = entry.details?.key || 'Unknown';
+                const modifiers = [];
+                if (entry.details?.ctrlKey) modifiers.push('Ctrl');
+                if (entry.details?.altKey) modifiers.push('Alt');
+                if (entry.details?.shiftKey) modifiers.push('Shift');
+                if (entry.details?.metaKey) modifiers.push('Meta');
+                
+                const keyCombo = modifiers.length > 0 ? `${modifiers.join('+')}+${key}` : key;
+                
+                // Show text content for arrow keys, with the review cursor column when it moved within a line
+                if (entry.details?.textContent) {
+                    if (['character', 'word'].includes(entry.details.navigationUnit) && entry.details.lineLength > 0) {
+                        return `${entry.details.textContent} (col ${entry.details.characterOffset + 1}/${entry.details.lineLength})`;
+                    }
+                    if (entry.details.tableNavigation && entry.details.found) {
+                        return `${entry.details.textContent} (row ${entry.details.row}/${entry.details.rowCount}, ` +
+                               `col ${entry.details.column}/${entry.details.columnCount})`;
+                    }
+                    return entry.details.textContent;
+                }
+                
+                // Show line position for arrow keys
+                if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(key) && 
+                    entry.details?.currentLineIndex !== undefined) {
+                    const direction = entry.details.navigationDirection || 'unknown';
+                    const lineInfo = `Line ${entry.details.currentLineIndex + 1}/${entry.details.totalLines}`;
+                    return `${keyCombo} - ${direction} (${lineInfo})`;
+                }
+                
+                return keyCombo;
+            case 'replay':
+                if (entry.details?.state === 'started') {
+                    return `Replay started: ${entry.details.steps} steps`;
+                }
+                const divergences = entry.details?.divergences || [];
+                if (divergences.length === 0) {
+                    return `Replay finished: ${entry.details?.steps} steps, focus matched the recording`;
+                }
+                const first = divergences[0];
+                return `Replay finished: focus differed at ${divergences.length} step(s); ` +
+                       `first at step ${first.step} (${first.key}), expected ${first.expected}, was ${first.actual || 'page body'}`;
+            case 'issue':
+                return entry.details?.wcag
+                    ? `${entry.details.message} (WCAG ${entry.details.wcag})`
+                    : entry.details?.message || 'Accessibility issue';
+            case 'live-region-update':
+                if (entry.details?.announcement) {
+                    return `${entry.details.politeness}: "${entry.details.announcement}"`;
+                }
+                return `Added: ${entry.details?.addedContent?.substring(0, 50) || 'content'}`;
+            default:
+                if (entry.details && typeof entry.details === 'object') {
+                    const detailStr = JSON.stringify(entry.details);
+                    return detailStr.length > 50 ? detailStr.substring(0, 50) + '...' : detailStr;
+                }
+                return 'Event details';
+        }
+    }
+
+    /**
+     * Format computed accessible name, name source and description
+     */
+    formatAccessibleName(element) {
+        if (!element || element.accessibleName === undefined) return '';
+
+        const name = element.accessibleName
+            ? `"${element.accessibleName}" (from ${element.nameSource})`
+            : 'No accessible name';
+        const description = element.accessibleDescription
+            ? `, description: "${element.accessibleDescription}"`
+            : '';
+
+        return `${name}${description}`;
+    }
+
+    /**
+     * Escape text before inserting it into entry markup
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * NVDA-like navigation methods
+     */
+    navigateToNext() {
+        const entries = this.getVisibleEntries();
+        if (entries.length === 0) return;
+
+        this.currentFocusIndex = Math.min(this.currentFocusIndex + 1, entries.length - 1);
+        this.focusLogEntry(entries[this.currentFocusIndex]);
+    }
+
+    navigateToPrevious() {
+        const entries = this.getVisibleEntries();
+        if (entries.length === 0) return;
+
+        this.currentFocusIndex = Math.max(this.currentFocusIndex - 1, 0);
+        this.focusLogEntry(entries[this.currentFocusIndex]);
+    }
+
+    navigateByLine(direction) {
+        const entries = this.getVisibleEntries();
+        if (entries.length === 0) return;
+
+        const newIndex = this.currentFocusIndex + direction;
+        if (newIndex >= 0 && newIndex < entries.length) {
+            this.currentFocusIndex = newIndex;
+            this.focusLogEntry(entries[this.currentFocusIndex]);
+        }
+    }
+
+    navigateToFirst() {
+        const entries = this.getVisibleEntries();
+        if (entries.length === 0) return;
+
+        this.currentFocusIndex = 0;
+        this.focusLogEntry(entries[0]);
+    }
+
+    navigateToLast() {
+        const entries = this.getVisibleEntries();
+        if (entries.length === 0) return;
+
+        this.currentFocusIndex = entries.length - 1;
+        this.focusLogEntry(entries[this.currentFocusIndex]);
+    }
+
+    /**
+     * Focus a specific log entry
+     */
+    focusLogEntry(entryElement) {
+        // Remove previous focus styling
+        document.querySelectorAll('.log-entry.focused').forEach(el => {
+            el.classList.remove('focused');
+        });
+
+        // Add focus styling and focus
+        entryElement.classList.add('focused');
+        entryElement.focus();
+        entryElement.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+
+        // Update current index
+        this.currentFocusIndex = this.getVisibleEntries().indexOf(entryElement);
+
+        this.announceEntryContent(entryElement);
+    }
+
+    /**
+     * Add or remove a log entry from the selection used by Export
+     */
+    toggleEntrySelection(entryElement) {
+        const entryId = entryElement.getAttribute('data-entry-id');
+        const selected = !this.selectedEntryIds.has(entryId);
+
+        if (selected) {
+            this.selectedEntryIds.add(entryId);
+        } else {
+            this.selectedEntryIds.delete(entryId);
+        }
+
+        entryElement.setAttribute('aria-selected', String(selected));
+        this.announce(`${selected ? 'Selected' : 'Not selected'}, ${this.selectedEntryIds.size} selected`, { interrupt: true });
+    }
+
+    /**
+     * Toggle expansion of current log entry
+     */
+    toggleEntryExpansion() {
+        const entries = this.getVisibleEntries();
+        if (this.currentFocusIndex < 0 || this.currentFocusIndex >= entries.length) return;
+
+        const currentEntry = entries[this.currentFocusIndex];
+        const entryId = currentEntry.getAttribute('data-entry-id');
+        const logEntry = this.logEntries.find(entry => entry.id == entryId);
+
+        if (!logEntry) return;
+
+        logEntry.expanded = !logEntry.expanded;
+        currentEntry.classList.toggle('expanded');
+
+        let expandedDetails = currentEntry.querySelector('.entry-expanded-details');
+        
+        if (logEntry.expanded && !expandedDetails) {
+            expandedDetails = document.createElement('div');
+            expandedDetails.className = 'entry-expanded-details';
+            expandedDetails.textContent = this.formatCursorPosition(logEntry.details) +
+                JSON.stringify(logEntry, null, 2);
+            currentEntry.appendChild(expandedDetails);
+            this.announce(`Expanded details for ${this.formatEventType(logEntry.type)} event`);
+        } else if (!logEntry.expanded && expandedDetails) {
+            expandedDetails.remove();
+            this.announce(`Collapsed details for ${this.formatEventType(logEntry.type)} event`);
+        }
+    }
+
+    /**
+     * Highlight the current entry's element in the page and select it in the Elements panel
+     */
+    revealCurrentEntry() {
+        // Imported entries were recorded on another page, so their references mean nothing here
+        if (this.importedLog) {
+            this.announce('Reveal unavailable while viewing an imported log');
+            return;
+        }
+
+        const entries = this.getVisibleEntries();
+        const currentEntry = entries[this.currentFocusIndex];
+        const logEntry = currentEntry &&
+            this.logEntries.find(entry => entry.id == currentEntry.getAttribute('data-entry-id'));
+
+        if (!logEntry || !logEntry.element || !logEntry.element.reference) {
+            this.announce('No page element for this entry');
+            return;
+        }
+
+        this.requestFromContentScript({ action: 'reveal-element', reference: logEntry.element.reference }, (response) => {
+            if (!response) {
+                this.announce('Reveal unavailable, page not connected');
+                return;
+            }
+
+            if (!response.found) {
+                this.setElementState(currentEntry, logEntry, 'gone');
+                this.announce('Element no longer exists in the page');
+                return;
+            }
+
+            this.setElementState(currentEntry, logEntry, response.matchedBy === 'selector' ? 'replaced' : null);
+            // inspect() runs in the content script of the frame that resolved the element
+            chrome.devtools.inspectedWindow.eval(
+                'inspect(window.accessibilityLoggerRevealedElement)',
+                { useContentScriptContext: true, frameURL: logEntry.frameId ? response.frameURL : undefined }
+            );
+
+            const elementInfo = this.getElementDisplayInfo(logEntry.element);
+            this.announce(response.matchedBy === 'selector'
+                ? `Original element was replaced, revealed the ${elementInfo} now in its place`
+                : `Revealed ${elementInfo}`);
+        }, logEntry.frameId || 0);
+    }
+
+    /**
+     * Record whether an entry's element is gone or was replaced, and show it on the entry
+     */
+    setElementState(entryElement, logEntry, state) {
+        logEntry.elementState = state;
+
+        const elementCell = entryElement.querySelector('.entry-element');
+        elementCell.textContent = this.getElementDisplayInfo(logEntry.element) + this.formatElementState(logEntry);
+        elementCell.classList.toggle('element-gone', state === 'gone');
+    }
+
+    /**
+     * Note appended to the element column once a reveal found the node missing
+     */
+    formatElementState(entry) {
+        if (entry.elementState === 'gone') return ' (no longer in page)';
+        if (entry.elementState === 'replaced') return ' (replaced)';
+        return '';
+    }
+
+    /**
+     * Show the review cursor line with a caret under the current character
+     */
+    formatCursorPosition(details) {
+        if (!details || !details.lineText || details.characterOffset === undefined) return '';
+
+        return `${details.lineText}\n${' '.repeat(details.characterOffset)}^\n\n`;
+    }
+
+    /**
+     * Announce entry content for screen reader simulation
+     */
+    announceEntryContent(entryElement) {
+        const time = entryElement.querySelector('.entry-time').textContent;
+        const eventType = entryElement.querySelector('.entry-event').textContent;
+        const element = entryElement.querySelector('.entry-element').textContent;
+        const details = entryElement.querySelector('.entry-details').textContent;
+        const speech = entryElement.querySelector('.entry-speech').textContent;
+
+        const announcement = speech
+            ? `${speech}, ${eventType} at ${time}, Element: ${element}, ${details}`
+            : `${eventType} at ${time}, Element: ${element}, ${details}`;
+        this.announce(announcement, { interrupt: true });
+    }
+
+    /**
+     * Announce navigation state
+     */
+    announceNavigationState() {
+        const totalEntries = this.getVisibleEntries().length;
+        if (totalEntries === 0) {
+            this.announce("No accessibility events logged");
+            return;
+        }
+
+        const currentPosition = this.currentFocusIndex + 1;
+        this.announce(`Accessibility log, ${currentPosition} of ${totalEntries} entries`);
+    }
+
+    /**
+     * Announce text to screen reader simulation
+     */
+    announce(text, options = {}) {
+        if (options.interrupt) {
+            this.announcementQueue = [];
+        }
+
+        this.announcementQueue.push(text);
+        this.speech.speak(text, options);
+        this.processAnnouncementQueue();
+    }
+
+    /**
+     * Process announcement queue
+     */
+    processAnnouncementQueue() {
+        if (this.announcementQueue.length === 0) return;
+
+        const announcement = this.announcementQueue.shift();
+        this.navigationInfo.textContent = announcement;
+
+        // Clear announcement after delay
+        setTimeout(() => {
+            if (this.navigationInfo.textContent === announcement) {
+                this.navigationInfo.textContent = "Press Tab to navigate, Arrow keys for line navigation, Escape to close dialogs";
+            }
+        }, 3000);
+
+        // Process next announcement
+        if (this.announcementQueue.length > 0) {
+            setTimeout(() => this.processAnnouncementQueue(), 1000);
+        }
+    }
+
+    /**
+     * Clear all log entries
+     */
+    clearLog() {
+        // An imported log is cleared on its own; the live entries kept aside stay
+        if (!this.importedLog) {
+            this.liveEntryIds.clear();
+        }
+        this.logEntries = [];
+        this.logEntriesContainer.innerHTML = '';
+        this.currentFocusIndex = -1;
+        this.selectedEntryIds.clear();
+        this.updateLogCount();
         
-        const time = new Date(entry.timestamp).toLocaleTimeString();
-        const elementInfo = this.getElementDisplayInfo(entry.element);
+        // Also drop the hub's replay buffer
+        if (this.eventPort) {
+            this.eventPort.postMessage({ action: 'clear' });
+        }
         
-        // Special styling for navigation markers
-        if (entry.type === 'navigation') {
-            entryElement.classList.add('navigation-marker');
+        this.announce("Accessibility log cleared");
+    }
+
+    /**
+     * Setup the Export dialog's format and scope pickers
+     */
+    setupExportDialog() {
+        this.exportConfirmButton.addEventListener('click', () => {
+            const format = document.querySelector('input[name="exportFormat"]:checked').value;
+            const scope = document.querySelector('input[name="exportScope"]:checked').value;
+
+            this.exportDialog.close();
+            this.exportLog(format, scope);
+        });
+        this.exportCancelButton.addEventListener('click', () => this.exportDialog.close());
+
+        this.exportDialog.addEventListener('close', () => {
+            this.exportLogButton.focus();
+        });
+    }
+
+    /**
+     * Open the Export dialog with the selection count filled in
+     */
+    openExportDialog() {
+        const selectedCount = this.selectedEntryIds.size;
+        const selectedRadio = document.querySelector('input[name="exportScope"][value="selected"]');
+
+        this.exportSelectedLabel.textContent = `Selected events (${selectedCount})`;
+        selectedRadio.disabled = selectedCount === 0;
+        if (selectedRadio.checked && selectedRadio.disabled) {
+            document.querySelector('input[name="exportScope"][value="all"]').checked = true;
+        }
+
+        this.exportDialog.showModal();
+        document.querySelector('input[name="exportFormat"]:checked').focus();
+    }
+
+    /**
+     * Export log entries in the chosen format
+     */
+    exportLog(format = 'json', scope = 'all') {
+        const entries = this.getExportEntries(scope);
+        if (entries.length === 0) {
+            this.announce("No events to export");
+            return;
         }
+
+        const exporters = {
+            json: { extension: 'json', type: 'application/json', build: () => this.buildJsonExport(entries) },
+            csv: { extension: 'csv', type: 'text/csv', build: () => this.buildCsvExport(entries) },
+            markdown: { extension: 'md', type: 'text/markdown', build: () => this.buildMarkdownExport(entries) },
+            html: { extension: 'html', type: 'text/html', build: () => this.buildHtmlExport(entries) }
+        };
+        const exporter = exporters[format] || exporters.json;
+
+        const dataBlob = new Blob([exporter.build()], { type: exporter.type });
+        const url = URL.createObjectURL(dataBlob);
         
-        entryElement.innerHTML = `
-            <div class="entry-time">${time}</div>
-            <div class="entry-event ${entry.type}">${this.formatEventType(entry.type)}</div>
-            <div class="entry-element">${elementInfo}</div>
-            <div class="entry-details">${this.formatDetails(entry)}</div>
-        `;
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `accessibility-log-${new Date().toISOString().split('T')[0]}.${exporter.extension}`;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+        this.announce(`Exported ${entries.length} event${entries.length !== 1 ? 's' : ''}`);
+    }
 
-        // Add click handler for expansion
-        entryElement.addEventListener('click', () => {
-            this.focusLogEntry(entryElement);
-            this.toggleEntryExpansion();
+    /**
+     * Entries for an export scope, oldest first
+     */
+    getExportEntries(scope) {
+        let entries = this.logEntries;
+
+        if (scope === 'filtered') {
+            entries = entries.filter(entry => this.matchesFilter(entry));
+        } else if (scope === 'selected') {
+            entries = entries.filter(entry => this.selectedEntryIds.has(String(entry.id)));
+        }
+
+        // The log is kept newest first
+        return entries.slice().reverse().map(({ expanded, elementState, ...entry }) => entry);
+    }
+
+    /**
+     * Versioned log file that Import can read back
+     */
+    buildJsonExport(entries) {
+        return JSON.stringify({
+            format: LOG_FORMAT,
+            version: LOG_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            events: entries
+        }, null, 2);
+    }
+
+    /**
+     * One CSV row per event
+     */
+    buildCsvExport(entries) {
+        const columns = ['Time', 'Event Type', 'Speech', 'Element', 'Role', 'Accessible Name', 'Details'];
+        const rows = entries.map(entry => [
+            new Date(entry.timestamp).toISOString(),
+            entry.type,
+            entry.speech || '',
+            entry.element ? this.getElementDisplayInfo(entry.element) : '',
+            entry.element?.computedRole || '',
+            entry.element?.accessibleName || '',
+            this.formatDetails(entry) + this.formatRuleFailures(entry)
+        ]);
+
+        return [columns, ...rows]
+            .map(row => row.map(value => this.escapeCsvField(value)).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * Quote a CSV field when it contains separators, quotes or line breaks, and defuse leading formula characters
+     */
+    escapeCsvField(value) {
+        let text = String(value ?? '');
+
+        // Page text starting like a formula would be evaluated by spreadsheet apps
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * "What the screen reader said" transcript, one line per utterance
+     */
+    buildMarkdownExport(entries) {
+        const lines = ['# Screen Reader Transcript', ''];
+
+        this.groupEntriesByNavigation(entries).forEach(group => {
+            lines.push(`## ${group.title}`, '');
+
+            group.entries.forEach(entry => {
+                const time = new Date(entry.timestamp).toLocaleTimeString();
+
+                if (entry.type === 'issue') {
+                    lines.push(`- \`${time}\` **Issue:** ${this.formatDetails(entry)}`);
+                } else if (entry.speech) {
+                    lines.push(`- \`${time}\` ${entry.speech}`);
+                }
+
+                this.getRuleFailures(entry).forEach(failure => {
+                    lines.push(`  - **Issue:** ${failure.message} (${failure.ruleId}, WCAG ${failure.wcag})`);
+                });
+            });
+
+            lines.push('');
         });
 
-        // Insert at the beginning
-        this.logEntriesContainer.insertBefore(entryElement, this.logEntriesContainer.firstChild);
+        return lines.join('\n');
+    }
 
-        // Remove new-entry class after animation
-        setTimeout(() => {
-            entryElement.classList.remove('new-entry');
-        }, 1000);
+    /**
+     * Self-contained accessible HTML report grouped by navigation marker
+     */
+    buildHtmlExport(entries) {
+        const issueCount = entries.reduce((total, entry) =>
+            total + (entry.type === 'issue' ? 1 : this.getRuleFailures(entry).length), 0);
+
+        const sections = this.groupEntriesByNavigation(entries).map((group, index) => {
+            const rows = group.entries.map(entry => {
+                const isIssue = entry.type === 'issue';
+                const hasFailures = this.getRuleFailures(entry).length > 0;
+                return `<tr${isIssue || hasFailures ? ' class="issue"' : ''}>` +
+                    `<td>${this.escapeHtml(new Date(entry.timestamp).toLocaleTimeString())}</td>` +
+                    `<td>${isIssue ? `<strong>${this.escapeHtml(this.formatEventType(entry.type))}</strong>` : this.escapeHtml(this.formatEventType(entry.type))}</td>` +
+                    `<td>${this.escapeHtml(entry.speech || '')}</td>` +
+                    `<td><code>${this.escapeHtml(entry.element ? this.getElementDisplayInfo(entry.element) : '')}</code></td>` +
+                    `<td>${this.escapeHtml(this.formatDetails(entry) + this.formatRuleFailures(entry))}</td>` +
+                    '</tr>';
+            }).join('\n');
+
+            return `<section aria-labelledby="group-${index}">
+<h2 id="group-${index}">${this.escapeHtml(group.title)}</h2>
+<table>
+<caption>${group.entries.length} event${group.entries.length !== 1 ? 's' : ''}</caption>
+<thead><tr><th scope="col">Time</th><th scope="col">Event Type</th><th scope="col">Speech</th><th scope="col">Element</th><th scope="col">Details</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Accessibility Log Report</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; margin: 2em; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2em; }
+caption { text-align: left; padding: 4px 0; color: #555; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+tr.issue td { background: #fdecea; }
+tr.issue td:first-child { border-left: 4px solid #b71c1c; }
+</style>
+</head>
+<body>
+<main>
+<h1>Accessibility Log Report</h1>
+<p>${entries.length} event${entries.length !== 1 ? 's' : ''}, ${issueCount} issue${issueCount !== 1 ? 's' : ''}. Exported ${this.escapeHtml(new Date().toLocaleString())}.</p>
+${sections}
+</main>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Split entries into page sections at each navigation marker
+     */
+    groupEntriesByNavigation(entries) {
+        const groups = [{ title: 'Session start', entries: [] }];
+
+        entries.forEach(entry => {
+            if (entry.type === 'navigation') {
+                groups.push({ title: `Navigated to ${entry.details?.url || 'new page'}`, entries: [] });
+                return;
+            }
+            groups[groups.length - 1].entries.push(entry);
+        });
+
+        return groups.filter(group => group.entries.length > 0);
+    }
+
+    /**
+     * Setup the Import button and the return to the live log
+     */
+    setupImport() {
+        this.importLogButton.addEventListener('click', () => this.importFileInput.click());
+        this.importFileInput.addEventListener('change', () => {
+            const file = this.importFileInput.files[0];
+            this.importFileInput.value = '';
+            if (file) {
+                this.importLog(file);
+            }
+        });
+        this.returnToLiveButton.addEventListener('click', () => this.returnToLiveLog());
+    }
+
+    /**
+     * Read a saved log file and show it read-only if it is valid
+     */
+    importLog(file) {
+        this.readLogFile(file, 'Import', (events) => this.showImportedLog(file.name, events));
+    }
+
+    /**
+     * Read and validate a saved log file, announcing any problem under the given action name
+     */
+    readLogFile(file, actionName, callback) {
+        const reader = new FileReader();
+
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (error) {
+                this.announce(`${actionName} failed: ${file.name} is not valid JSON`);
+                return;
+            }
+
+            const result = this.validateLogFile(data);
+            if (result.error) {
+                this.announce(`${actionName} failed: ${result.error}`);
+                return;
+            }
+
+            callback(result.events);
+        };
+
+        reader.onerror = () => {
+            this.announce(`${actionName} failed: could not read ${file.name}`);
+        };
+
+        reader.readAsText(file);
+    }
+
+    /**
+     * Check a parsed file against the log schema; returns { events } or { error }
+     */
+    validateLogFile(data) {
+        let events;
+
+        if (Array.isArray(data)) {
+            // Exports from before the schema was versioned are a bare array of events
+            events = data;
+        } else if (data && data.format === LOG_FORMAT) {
+            if (!Number.isInteger(data.version) || data.version < 1) {
+                return { error: 'missing schema version' };
+            }
+            if (data.version > LOG_SCHEMA_VERSION) {
+                return { error: `log uses schema version ${data.version}, this panel reads up to version ${LOG_SCHEMA_VERSION}` };
+            }
+            events = data.events;
+        } else {
+            return { error: 'not an Accessibility Logger log' };
+        }
+
+        if (!Array.isArray(events)) {
+            return { error: 'events list missing' };
+        }
+
+        for (let index = 0; index < events.length; index++) {
+            const problem = this.validateLogEvent(events[index]);
+            if (problem) {
+                return { error: `event ${index + 1} ${problem}` };
+            }
+        }
+
+        return { events: events };
+    }
+
+    /**
+     * Describe what is wrong with a saved event, or return null
+     */
+    validateLogEvent(event) {
+        if (!event || typeof event !== 'object' || Array.isArray(event)) return 'is not an object';
+        if (typeof event.type !== 'string' || !event.type) return 'has no type';
+        if (!this.isKnownEventType(event.type)) return 'has an unknown type';
+        if (typeof event.timestamp !== 'number' || !isFinite(event.timestamp)) return 'has no timestamp';
+
+        if (!this.isObjectOrEmpty(event.element) || !this.isValidLogElement(event.element)) {
+            return 'has an invalid element';
+        }
+        if (!this.isObjectOrEmpty(event.details) || !this.isValidLogDetails(event.details)) {
+            return 'has invalid details';
+        }
+
+        if (!this.isOfTypeOrEmpty(event.speech, 'string')) {
+            return 'has invalid speech';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check the fields of a saved element that the log renderers read
+     */
+    isValidLogElement(element) {
+        if (!element) return true;
+
+        const textFields = ['tagName', 'id', 'className', 'role', 'computedRole', 'accessibleName',
+            'accessibleDescription', 'nameSource', 'ariaLabel', 'textContent'];
+        if (!textFields.every(field => this.isOfTypeOrEmpty(element[field], 'string'))) return false;
+
+        // Elements such as li and meter have numeric values
+        return this.isOfTypeOrEmpty(element.value, 'string', 'number') && this.isObjectOrEmpty(element.reference);
     }
 
     /**
-     * Get display info for element
+     * Check the fields of saved event details that the log renderers read
      */
-    getElementDisplayInfo(element) {
-        if (!element) return 'unknown';
-        
-        let info = element.tagName || 'unknown';
-        
-        if (element.id) {
-            info += `#${element.id}`;
-        } else if (element.className) {
-            const firstClass = element.className.split(' ')[0];
-            if (firstClass) {
-                info += `.${firstClass}`;
-            }
+    isValidLogDetails(details) {
+        if (!details) return true;
+
+        const textFields = ['url', 'key', 'mode', 'trigger', 'sound', 'attribute', 'announcement', 'message',
+            'wcag', 'politeness', 'addedContent', 'textContent', 'lineText', 'state', 'cause', 'destination',
+            'navigationDirection', 'navigationUnit'];
+        if (!textFields.every(field => this.isOfTypeOrEmpty(details[field], 'string'))) return false;
+
+        // The cursor caret is drawn by repeating a space characterOffset times
+        if (details.characterOffset !== undefined && details.characterOffset !== null) {
+            const offset = details.characterOffset;
+            const lineLength = typeof details.lineText === 'string' ? details.lineText.length : 0;
+            if (!Number.isInteger(offset) || offset < 0 || offset > lineLength) return false;
         }
-        
-        return info;
+
+        const isListOfObjects = (value) => value === undefined || value === null ||
+            (Array.isArray(value) && value.every(item => item !== null && this.isObjectOrEmpty(item)));
+        if (!isListOfObjects(details.ruleFailures) || !isListOfObjects(details.divergences)) return false;
+
+        return this.isObjectOrEmpty(details.relatedTarget) && this.isValidLogElement(details.relatedTarget);
     }
 
     /**
-     * Format event type for display
+     * Check that a value is a plain object, or missing
      */
-    formatEventType(type) {
-        const typeMap = {
-            'focus': 'Focus Change',
-            'blur': 'Blur',
-            'aria-change': 'ARIA Update',
-            'keyboard': 'Key Press',
-            'live-region-update': 'Live Region',
-            'mutation': 'DOM Change',
-            'navigation': '🧭 Navigation'
-        };
-        return typeMap[type] || type;
+    isObjectOrEmpty(value) {
+        return value === undefined || value === null || (typeof value === 'object' && !Array.isArray(value));
     }
 
     /**
-     * Format event details for display
+     * Check that a value has one of the given types, or is missing
      */
-    formatDetails(entry) {
-        if (!entry.element && !entry.details) return 'No details';
-        
-        switch (entry.type) {
-            case 'navigation':
-                return `Navigated to: ${entry.details?.url || 'unknown URL'}`;
-            case 'focus':
-                return entry.element?.ariaLabel || 
-                       entry.element?.textContent?.substring(0, 50) || 
-                       entry.element?.value?.substring(0, 50) ||
-                       'Focusable element';
-            case 'blur':
-                return 'Element lost focus';
-            case 'aria-change':
-                return `${entry.details?.attribute}: ${entry.details?.newValue || 'null'}`;
-            case 'keyboard':
-                const key = entry.details?.key || 'Unknown';
-                const modifiers = [];
-                if (entry.details?.ctrlKey) modifiers.push('Ctrl');
-                if (entry.details?.altKey) modifiers.push('Alt');
-                if (entry.details?.shiftKey) modifiers.push('Shift');
-                if (entry.details?.metaKey) modifiers.push('Meta');
-                
-                const keyCombo = modifiers.length > 0 ? `${modifiers.join('+')}+${key}` : key;
-                
-                // Show text content for arrow keys
-                if (entry.details?.textContent) {
-                    return entry.details.textContent;
-                }
-                
-                // Show line position for arrow keys
-                if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(key) && 
-                    entry.details?.currentLineIndex !== undefined) {
-                    const direction = entry.details.navigationDirection || 'unknown';
-                    const lineInfo = `Line ${entry.details.currentLineIndex + 1}/${entry.details.totalLines}`;
-                    return `${keyCombo} - ${direction} (${lineInfo})`;
-                }
-                
-                return keyCombo;
-            case 'live-region-update':
-                return `Added: ${entry.details?.addedContent?.substring(0, 50) || 'content'}`;
-            default:
-                if (entry.details && typeof entry.details === 'object') {
-                    const detailStr = JSON.stringify(entry.details);
-                    return detailStr.length > 50 ? detailStr.substring(0, 50) + '...' : detailStr;
-                }
-                return 'Event details';
-        }
+    isOfTypeOrEmpty(value, ...types) {
+        return value === undefined || value === null || types.includes(typeof value);
     }
 
     /**
-     * NVDA-like navigation methods
+     * Replace the displayed log with imported events, keeping live events aside
      */
-    navigateToNext() {
-        const entries = this.logEntriesContainer.children;
-        if (entries.length === 0) return;
+    showImportedLog(name, events) {
+        const previousEntries = this.logEntries;
 
-        this.currentFocusIndex = Math.min(this.currentFocusIndex + 1, entries.length - 1);
-        this.focusLogEntry(entries[this.currentFocusIndex]);
-    }
+        // Saved logs are oldest first; the panel shows newest first
+        this.logEntries = events.map((event, index) => ({
+            ...event,
+            id: event.id ?? `imported-${index}`,
+            expanded: false
+        })).reverse();
+
+        // Render before switching to the imported log, so a file that still fails leaves the previous log in place
+        try {
+            this.renderAllEntries();
+        } catch (error) {
+            this.logEntries = previousEntries;
+            this.renderAllEntries();
+            this.announce(`Import failed: ${name} has events that cannot be shown`);
+            return;
+        }
 
-    navigateToPrevious() {
-        const entries = this.logEntriesContainer.children;
-        if (entries.length === 0) return;
+        if (!this.importedLog) {
+            this.liveEntries = previousEntries;
+        }
 
-        this.currentFocusIndex = Math.max(this.currentFocusIndex - 1, 0);
-        this.focusLogEntry(entries[this.currentFocusIndex]);
-    }
+        this.importedLog = { name: name };
 
-    navigateByLine(direction) {
-        const entries = this.logEntriesContainer.children;
-        if (entries.length === 0) return;
+        this.importBannerText.textContent = `Viewing imported log ${name} (read-only)`;
+        this.importBanner.hidden = false;
+        this.clearLogButton.disabled = true;
+        this.revealElementButton.disabled = true;
 
-        const newIndex = this.currentFocusIndex + direction;
-        if (newIndex >= 0 && newIndex < entries.length) {
-            this.currentFocusIndex = newIndex;
-            this.focusLogEntry(entries[this.currentFocusIndex]);
-        }
+        this.announce(`Viewing imported log ${name}, ${events.length} event${events.length !== 1 ? 's' : ''}, read-only`);
     }
 
-    navigateToFirst() {
-        const entries = this.logEntriesContainer.children;
-        if (entries.length === 0) return;
+    /**
+     * Leave the imported log and show live events again
+     */
+    returnToLiveLog() {
+        if (!this.importedLog) return;
 
-        this.currentFocusIndex = 0;
-        this.focusLogEntry(entries[0]);
+        this.logEntries = this.liveEntries;
+        this.liveEntries = null;
+        this.importedLog = null;
+
+        this.renderAllEntries();
+
+        this.importBanner.hidden = true;
+        this.clearLogButton.disabled = false;
+        this.revealElementButton.disabled = false;
+        this.importLogButton.focus();
+
+        this.announce(`Returned to live log, ${this.logEntries.length} events`);
     }
 
-    navigateToLast() {
-        const entries = this.logEntriesContainer.children;
-        if (entries.length === 0) return;
+    /**
+     * Re-render every entry in this.logEntries
+     */
+    renderAllEntries() {
+        this.logEntriesContainer.innerHTML = '';
+        this.currentFocusIndex = -1;
+        this.selectedEntryIds.clear();
 
-        this.currentFocusIndex = entries.length - 1;
-        this.focusLogEntry(entries[this.currentFocusIndex]);
+        // renderLogEntry inserts at the top, so render oldest first
+        this.logEntries.slice().reverse().forEach(entry => {
+            entry.expanded = false;
+            this.renderLogEntry(entry);
+        });
+
+        this.updateLogCount();
     }
 
     /**
-     * Focus a specific log entry
+     * Setup the Compare dialog for diffing two sessions
      */
-    focusLogEntry(entryElement) {
-        // Remove previous focus styling
-        document.querySelectorAll('.log-entry.focused').forEach(el => {
-            el.classList.remove('focused');
+    setupCompareView() {
+        this.compareResultRows = null;
+
+        this.openCompareButton.addEventListener('click', () => {
+            this.compareDialog.showModal();
+            this.compareRunButton.focus();
+        });
+        this.compareRunButton.addEventListener('click', () => this.runCompare());
+        this.compareCloseButton.addEventListener('click', () => this.compareDialog.close());
+        this.compareShowUnchanged.addEventListener('change', () => {
+            if (this.compareResultRows) this.renderCompareResults(this.compareResultRows);
         });
 
-        // Add focus styling and focus
-        entryElement.classList.add('focused');
-        entryElement.focus();
-        entryElement.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        // Choosing a file selects it as that side's source
+        [['compareBefore', this.compareBeforeFile], ['compareAfter', this.compareAfterFile]].forEach(([name, input]) => {
+            input.addEventListener('change', () => {
+                document.querySelector(`input[name="${name}"][value="file"]`).checked = true;
+            });
+        });
 
-        // Update current index
-        const entries = Array.from(this.logEntriesContainer.children);
-        this.currentFocusIndex = entries.indexOf(entryElement);
+        this.compareDialog.addEventListener('close', () => {
+            this.openCompareButton.focus();
+        });
+    }
 
-        this.announceEntryContent(entryElement);
+    /**
+     * Load both sides and show their differences
+     */
+    runCompare() {
+        this.loadCompareSource('compareBefore', this.compareBeforeFile, 'Before', (before) => {
+            this.loadCompareSource('compareAfter', this.compareAfterFile, 'After', (after) => {
+                this.compareResultRows = this.compareTranscripts(before, after);
+                this.renderCompareResults(this.compareResultRows);
+            });
+        });
     }
 
     /**
-     * Toggle expansion of current log entry
+     * Events for one side of the comparison, oldest first
      */
-    toggleEntryExpansion() {
-        const entries = this.logEntriesContainer.children;
-        if (this.currentFocusIndex < 0 || this.currentFocusIndex >= entries.length) return;
+    loadCompareSource(name, fileInput, label, callback) {
+        const source = document.querySelector(`input[name="${name}"]:checked`).value;
 
-        const currentEntry = entries[this.currentFocusIndex];
-        const entryId = currentEntry.getAttribute('data-entry-id');
-        const logEntry = this.logEntries.find(entry => entry.id == entryId);
+        if (source === 'current') {
+            callback(this.logEntries.slice().reverse());
+            return;
+        }
 
-        if (!logEntry) return;
+        const file = fileInput.files[0];
+        if (!file) {
+            this.announce(`Choose a log file for ${label}`);
+            fileInput.focus();
+            return;
+        }
 
-        logEntry.expanded = !logEntry.expanded;
-        currentEntry.classList.toggle('expanded');
+        this.readLogFile(file, 'Compare', callback);
+    }
 
-        let expandedDetails = currentEntry.querySelector('.entry-expanded-details');
-        
-        if (logEntry.expanded && !expandedDetails) {
-            expandedDetails = document.createElement('div');
-            expandedDetails.className = 'entry-expanded-details';
-            expandedDetails.textContent = JSON.stringify(logEntry, null, 2);
-            currentEntry.appendChild(expandedDetails);
-            this.announce(`Expanded details for ${this.formatEventType(logEntry.type)} event`);
-        } else if (!logEntry.expanded && expandedDetails) {
-            expandedDetails.remove();
-            this.announce(`Collapsed details for ${this.formatEventType(logEntry.type)} event`);
+    /**
+     * Align two sessions by interaction and classify each step as added, removed, changed or same
+     */
+    compareTranscripts(beforeEvents, afterEvents) {
+        const before = this.buildTranscript(beforeEvents);
+        const after = this.buildTranscript(afterEvents);
+
+        const beforeTargets = new Set(before.filter(item => item.isTabStop).map(item => item.target));
+        const afterTargets = new Set(after.filter(item => item.isTabStop).map(item => item.target));
+
+        const rows = [];
+        const addRow = (beforeItem, afterItem) => {
+            if (beforeItem && afterItem) {
+                rows.push(this.compareTranscriptItems(beforeItem, afterItem));
+            } else if (afterItem) {
+                const notes = afterItem.isTabStop && !beforeTargets.has(afterItem.target) ? ['New tab stop'] : [];
+                rows.push({ change: 'added', before: null, after: afterItem, notes: notes, flags: [] });
+            } else {
+                const flags = beforeItem.isTabStop && !afterTargets.has(beforeItem.target) ? ['Tab stop removed'] : [];
+                rows.push({ change: 'removed', before: beforeItem, after: null, notes: [], flags: flags });
+            }
+        };
+
+        // Steps that match at both ends pair up directly; only the differing middle needs aligning
+        let start = 0;
+        while (start < before.length && start < after.length && before[start].key === after[start].key) {
+            start++;
+        }
+        let beforeEnd = before.length;
+        let afterEnd = after.length;
+        while (beforeEnd > start && afterEnd > start && before[beforeEnd - 1].key === after[afterEnd - 1].key) {
+            beforeEnd--;
+            afterEnd--;
+        }
+
+        for (let index = 0; index < start; index++) {
+            addRow(before[index], after[index]);
         }
+        this.alignTranscripts(before.slice(start, beforeEnd), after.slice(start, afterEnd))
+            .forEach(([beforeItem, afterItem]) => addRow(beforeItem, afterItem));
+        for (let index = 0; index < before.length - beforeEnd; index++) {
+            addRow(before[beforeEnd + index], after[afterEnd + index]);
+        }
+
+        return rows;
     }
 
     /**
-     * Announce entry content for screen reader simulation
+     * Pair up two transcripts as [before, after] items, with null on the side a step is missing from
      */
-    announceEntryContent(entryElement) {
-        const time = entryElement.querySelector('.entry-time').textContent;
-        const eventType = entryElement.querySelector('.entry-event').textContent;
-        const element = entryElement.querySelector('.entry-element').textContent;
-        const details = entryElement.querySelector('.entry-details').textContent;
+    alignTranscripts(before, after) {
+        // Above about 16 MB of table, fall back to a greedy match
+        const maxTableCells = 4000000;
+        if ((before.length + 1) * (after.length + 1) > maxTableCells) {
+            return this.alignTranscriptsGreedy(before, after);
+        }
+
+        // Longest common subsequence of alignment keys, so renamed or re-described targets still pair up
+        const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+        for (let i = before.length - 1; i >= 0; i--) {
+            for (let j = after.length - 1; j >= 0; j--) {
+                lengths[i][j] = before[i].key === after[j].key
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
 
-        const announcement = `${eventType} at ${time}, Element: ${element}, ${details}`;
-        this.announce(announcement);
+        const pairs = [];
+        let i = 0;
+        let j = 0;
+        while (i < before.length || j < after.length) {
+            if (i < before.length && j < after.length && before[i].key === after[j].key) {
+                pairs.push([before[i++], after[j++]]);
+            } else if (j < after.length && (i >= before.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+                pairs.push([null, after[j++]]);
+            } else {
+                pairs.push([before[i++], null]);
+            }
+        }
+
+        return pairs;
     }
 
     /**
-     * Announce navigation state
+     * Linear-memory alignment for very long logs: each before step pairs with the next after step sharing its key
      */
-    announceNavigationState() {
-        const totalEntries = this.logEntriesContainer.children.length;
-        if (totalEntries === 0) {
-            this.announce("No accessibility events logged");
-            return;
+    alignTranscriptsGreedy(before, after) {
+        const positions = new Map();
+        after.forEach((item, index) => {
+            if (!positions.has(item.key)) positions.set(item.key, []);
+            positions.get(item.key).push(index);
+        });
+
+        // Next unused position per key, so repeated keys are not rescanned
+        const nextCandidate = new Map();
+        const pairs = [];
+        let j = 0;
+        before.forEach((item) => {
+            const candidates = positions.get(item.key) || [];
+            let next = nextCandidate.get(item.key) || 0;
+            while (next < candidates.length && candidates[next] < j) {
+                next++;
+            }
+
+            if (next >= candidates.length) {
+                nextCandidate.set(item.key, next);
+                pairs.push([item, null]);
+                return;
+            }
+
+            const match = candidates[next];
+            nextCandidate.set(item.key, next + 1);
+            while (j < match) {
+                pairs.push([null, after[j++]]);
+            }
+            pairs.push([item, after[j++]]);
+        });
+
+        while (j < after.length) {
+            pairs.push([null, after[j++]]);
         }
 
-        const currentPosition = this.currentFocusIndex + 1;
-        this.announce(`Accessibility log, ${currentPosition} of ${totalEntries} entries`);
+        return pairs;
     }
 
     /**
-     * Announce text to screen reader simulation
+     * Announcement-bearing interactions in order, with the key used to align them
      */
-    announce(text) {
-        this.announcementQueue.push(text);
-        this.processAnnouncementQueue();
+    buildTranscript(events) {
+        const interactionTypes = ['focus', 'keyboard', 'live-region-update', 'aria-change'];
+
+        return events
+            .filter(event => interactionTypes.includes(event.type) && (event.speech || event.type === 'focus'))
+            .map((event, index) => {
+                const target = event.element ? this.getElementDisplayInfo(event.element) : '';
+                let action = '';
+                if (event.type === 'keyboard') {
+                    action = [event.details?.key, event.details?.navigationUnit].filter(Boolean).join(' ');
+                } else if (event.type === 'focus' && event.details?.cause !== 'keyboard-Tab') {
+                    // Tab moves keep an empty action so they align with logs saved before causes were recorded
+                    action = event.details?.cause || '';
+                }
+
+                return {
+                    step: index + 1,
+                    type: event.type,
+                    target: target,
+                    key: `${event.type}|${action}|${target}`,
+                    speech: event.speech || '',
+                    element: event.element || {},
+                    // Logs saved before focus causes were recorded only contain Tab moves
+                    isTabStop: event.type === 'focus' && (event.details?.cause || 'keyboard-Tab') === 'keyboard-Tab'
+                };
+            });
     }
 
     /**
-     * Process announcement queue
+     * Compare two aligned steps' speech and element fields
      */
-    processAnnouncementQueue() {
-        if (this.announcementQueue.length === 0) return;
+    compareTranscriptItems(before, after) {
+        const fields = ['accessibleName', 'computedRole', 'accessibleDescription', 'nameSource', 'tabIndex', 'disabled', 'required'];
+        const notes = [];
+        const flags = [];
 
-        const announcement = this.announcementQueue.shift();
-        this.navigationInfo.textContent = announcement;
+        if (before.speech !== after.speech) {
+            notes.push('Announcement changed');
+        }
 
-        // Clear announcement after delay
-        setTimeout(() => {
-            if (this.navigationInfo.textContent === announcement) {
-                this.navigationInfo.textContent = "Press Tab to navigate, Arrow keys for line navigation, Escape to close dialogs";
+        fields.forEach(field => {
+            const oldValue = before.element[field] ?? '';
+            const newValue = after.element[field] ?? '';
+            if (oldValue !== newValue) {
+                notes.push(`${field}: ${oldValue === '' ? '(none)' : oldValue} → ${newValue === '' ? '(none)' : newValue}`);
             }
-        }, 3000);
+        });
 
-        // Process next announcement
-        if (this.announcementQueue.length > 0) {
-            setTimeout(() => this.processAnnouncementQueue(), 1000);
+        if (before.element.accessibleName && !after.element.accessibleName) {
+            flags.push('Lost accessible name');
+        }
+        if (before.element.computedRole && before.element.computedRole !== after.element.computedRole) {
+            flags.push('Role changed');
+        }
+        if (before.element.tabIndex >= 0 && after.element.tabIndex < 0) {
+            flags.push('Removed from tab order');
         }
-    }
 
-    /**
-     * Clear all log entries
-     */
-    clearLog() {
-        this.logEntries = [];
-        this.logEntriesContainer.innerHTML = '';
-        this.currentFocusIndex = -1;
-        this.updateLogCount();
-        
-        // Also clear storage
-        chrome.storage.local.set({ accessibilityEvents: [] });
-        
-        this.announce("Accessibility log cleared");
+        return {
+            change: notes.length > 0 ? 'changed' : 'same',
+            before: before,
+            after: after,
+            notes: notes,
+            flags: flags
+        };
     }
 
     /**
-     * Export log to JSON
+     * Show the comparison table and announce its summary
      */
-    exportLog() {
-        const dataStr = JSON.stringify(this.logEntries, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(dataBlob);
-        
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `accessibility-log-${new Date().toISOString().split('T')[0]}.json`;
-        link.click();
-        
-        URL.revokeObjectURL(url);
-        this.announce("Accessibility log exported");
+    renderCompareResults(rows) {
+        const counts = { added: 0, removed: 0, changed: 0, same: 0 };
+        rows.forEach(row => counts[row.change]++);
+        const flagged = rows.filter(row => row.flags.length > 0).length;
+
+        const tbody = this.compareResults.querySelector('tbody');
+        tbody.innerHTML = '';
+
+        rows.filter(row => row.change !== 'same' || this.compareShowUnchanged.checked).forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = `change-${row.change}${row.flags.length > 0 ? ' flagged' : ''}`;
+
+            const step = [row.before?.step, row.after?.step].map(value => value ?? '–').join(' → ');
+            const describe = (item) => item ? `${item.speech || '(silent)'} [${item.target || item.type}]` : '';
+            const notes = [...row.flags.map(flag => `⚠ ${flag}`), ...row.notes].join('; ');
+
+            [step, row.change, describe(row.before), describe(row.after), notes].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        this.compareResults.hidden = false;
+
+        const summary = `${counts.added} added, ${counts.removed} removed, ${counts.changed} changed, ` +
+                        `${counts.same} unchanged; ${flagged} flagged`;
+        this.compareSummary.textContent = summary;
+        this.announce(`Comparison: ${summary}`);
     }
 
     /**
@@ -645,6 +2387,17 @@ class AccessibilityLogger {
      */
     updateLogCount() {
         const count = this.logEntries.length;
+        const issues = this.logEntries.reduce((total, entry) =>
+            total + (entry.type === 'issue' ? 1 : this.getRuleFailures(entry).length), 0);
+
+        this.issueCount.textContent = `${issues} issue${issues !== 1 ? 's' : ''}`;
+        this.issueCount.classList.toggle('has-issues', issues > 0);
+
+        if (this.isFilterActive()) {
+            this.logCount.textContent = `Showing ${this.getVisibleEntries().length} of ${count} events`;
+            return;
+        }
+
         this.logCount.textContent = `${count} event${count !== 1 ? 's' : ''} logged`;
     }
 
@@ -671,14 +2424,8 @@ class AccessibilityLogger {
     onPanelShown() {
         this.announce("Accessibility Logger panel opened");
         
-        // Re-establish connection
-        this.connectionEstablished = false;
+        // Re-establish connection if it dropped
         this.connectToContentScript();
-        
-        // Start polling if not already started
-        if (!this.pollingInterval) {
-            this.startPollingForEvents();
-        }
     }
 
     /**
@@ -707,9 +2454,12 @@ class AccessibilityLogger {
      * Cleanup when panel is destroyed
      */
     destroy() {
-        if (this.pollingInterval) {
-            clearInterval(this.pollingInterval);
-            this.pollingInterval = null;
+        this.isDestroyed = true;
+        this.speech.cancel();
+
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+            this.reconnectTimeout = null;
         }
 
         if (this.navigationCheckInterval) {
@@ -717,18 +2467,16 @@ class AccessibilityLogger {
             this.navigationCheckInterval = null;
         }
 
-        if (this.connectionRetryInterval) {
-            clearInterval(this.connectionRetryInterval);
-            this.connectionRetryInterval = null;
+        // Don't leave the overlay drawn on the page once DevTools closes
+        if (this.isOverlayShown) {
+            this.requestFromContentScript({ action: 'toggle-tab-order-overlay', visible: false }, () => {});
         }
 
-        // Notify background script that DevTools is closing
-        chrome.runtime.sendMessage({
-            action: 'devtools-closed',
-            tabId: chrome.devtools.inspectedWindow.tabId
-        }).catch(() => {
-            // Ignore errors when extension is being unloaded
-        });
+        // Closing the port unsubscribes this panel from the hub
+        if (this.eventPort) {
+            this.eventPort.disconnect();
+            this.eventPort = null;
+        }
     }
 }
 